@@ -0,0 +1,339 @@
+const crypto = require('crypto');
+const express = require('express');
+const winston = require('winston');
+const pers = require('./mfwbotcrashes.js');
+const personas = require('./personas.js');
+
+// JSON API for managing Dee without DMing her. Every request needs an
+// "Authorization: Bearer <API_TOKEN>" header, and the API is switched off if no token is set.
+// There's a browser front end for it at /dashboard/ (see public/dashboard).
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const DEFAULT_LEADERBOARD_SIZE = 5;
+const DEFAULT_TOP_REPLIES = 5;
+const BREAK_TYPES = ['day-off', 'weekend', 'long-weekend'];
+
+function tokensMatch (expected, given) {
+  const expectedBuffer = Buffer.from(expected);
+  const givenBuffer = Buffer.from(given);
+  return expectedBuffer.length === givenBuffer.length && crypto.timingSafeEqual(expectedBuffer, givenBuffer);
+}
+
+function authenticate (token) {
+  return function (request, response, next) {
+    if (!token) {
+      response.status(503).json({error: 'The API is disabled, set API_TOKEN to turn it on.'});
+      return;
+    }
+    const header = request.get('Authorization') || '';
+    const given = header.startsWith('Bearer ') ? header.substring('Bearer '.length) : '';
+    if (!tokensMatch(token, given)) {
+      response.status(401).json({error: 'Missing or invalid token.'});
+      return;
+    }
+    next();
+  };
+}
+
+function describeQuestion (row, category) {
+  return {
+    category: category,
+    questionId: row.questionId,
+    question: row.question,
+    author: row.author,
+    posted: row.posted,
+    occasion: row.occasion || null,
+    tags: row.tags
+  };
+}
+
+/**
+* Builds the router for the API, to be mounted on the Express app.
+*
+* @param {?string} token The token clients need to send. The API refuses every request without one.
+* @param {!Object} actions Things only the bot can do:
+*   postNewMessage(channelId) posts the next question now, returning false if the channel can't be found.
+*   describeChannel(channelId) returns the channel's name and server, or null if it can't be found.
+*   getTodaysQuestion(channelId) resolves to today's question and its votes, or null if there isn't one.
+*   resolveSubmission(submissionId, approved, reason) approves or rejects a submission and tells the author.
+*   updateChannelSettings(channelId, settings) returns what was wrong with the settings, or null once saved.
+*   addCategory(channelId, name, label, aliases) and removeCategory(channelId, name) do the same for categories.
+*   checkQuestionDetails(channelId, details) returns {error} if a question's occasion or tags are wrong, or
+*     {error: null, occasion, tags} ready for pers.updateQuestion.
+* @return {!express.Router} The API router.
+*/
+exports.createRouter = function (token, actions) {
+  const router = express.Router();
+  router.use(authenticate(token));
+  router.use(express.json());
+
+  router.param('channelId', function (request, response, next, channelId) {
+    pers.getChannelInfo(channelId, true, function (channelInfo) {
+      if (channelInfo === null) {
+        response.status(404).json({error: 'No such channel.'});
+        return;
+      }
+      request.channelInfo = channelInfo;
+      next();
+    });
+  });
+
+  // Categories are looked up by name, within the channel
+  router.param('category', function (request, response, next, category) {
+    request.category = pers.getCategory(request.params.channelId, category);
+    if (request.category === null) {
+      response.status(404).json({error: 'No such category.'});
+      return;
+    }
+    next();
+  });
+
+  router.get('/personas', function (request, response) {
+    response.json({personas: personas.listPersonas()});
+  });
+
+  // Picks up changes to personas/ straight away, rather than waiting for the watcher
+  router.post('/personas/reload', function (request, response) {
+    try {
+      const problems = personas.reload();
+      response.json({personas: personas.listPersonas(), problems: problems});
+    } catch (err) {
+      response.status(500).json({error: err.message});
+    }
+  });
+
+  router.get('/channels', function (request, response) {
+    response.json({channels: pers.getAllChannelInfo().map(function (channelInfo) {
+      return Object.assign({discord: actions.describeChannel(channelInfo.channel)}, channelInfo);
+    })});
+  });
+
+  router.get('/channels/:channelId', function (request, response) {
+    response.json(Object.assign({discord: actions.describeChannel(request.params.channelId)}, request.channelInfo));
+  });
+
+  // Any of cronTiming, timezone, holidayRegion, modChannel, locale, persona, reactCount, upvote, downvote, paused and recap
+  router.put('/channels/:channelId/settings', function (request, response) {
+    const settings = {};
+    for (let setting of ['cronTiming', 'timezone', 'holidayRegion', 'modChannel', 'locale', 'persona', 'reactCount', 'upvote', 'downvote', 'paused', 'recap']) {
+      if (request.body[setting] !== undefined) {
+        settings[setting] = request.body[setting];
+      }
+    }
+    const error = actions.updateChannelSettings(request.params.channelId, settings);
+    if (error !== null) {
+      response.status(400).json({error: error});
+      return;
+    }
+    pers.getChannelInfo(request.params.channelId, true, function (channelInfo) {
+      response.json(channelInfo);
+    });
+  });
+
+  router.get('/channels/:channelId/categories', function (request, response) {
+    response.json({categories: pers.getCategories(request.params.channelId)});
+  });
+
+  // {"name": "wyr", "label": "would you rather", "aliases": ["w"]}, aliases being optional
+  router.post('/channels/:channelId/categories', function (request, response) {
+    const aliases = request.body.aliases === undefined ? [] : request.body.aliases;
+    if (typeof request.body.name !== 'string' || !Array.isArray(aliases)) {
+      response.status(400).json({error: 'A name is needed, and aliases should be a list.'});
+      return;
+    }
+    const error = actions.addCategory(request.params.channelId, request.body.name, request.body.label, aliases);
+    if (error !== null) {
+      response.status(400).json({error: error});
+      return;
+    }
+    response.status(201).json(pers.getCategory(request.params.channelId, request.body.name.toLowerCase()));
+  });
+
+  router.delete('/channels/:channelId/categories/:category', function (request, response) {
+    const error = actions.removeCategory(request.params.channelId, request.category.name);
+    if (error !== null) {
+      response.status(409).json({error: error});
+      return;
+    }
+    response.status(204).end();
+  });
+
+  router.get('/channels/:channelId/today', function (request, response, next) {
+    actions.getTodaysQuestion(request.params.channelId).then(function (today) {
+      response.json({today: today, onBreak: request.channelInfo.onBreak});
+    }).catch(next);
+  });
+
+  router.get('/channels/:channelId/pending', function (request, response) {
+    response.json({submissions: pers.getPendingQuestions(request.params.channelId)});
+  });
+
+  // {"approved": true} or {"approved": false, "reason": "..."}
+  router.post('/channels/:channelId/pending/:submissionId', function (request, response) {
+    const submission = pers.getPendingQuestion(parseInt(request.params.submissionId));
+    if (!submission || submission.channel !== request.params.channelId || submission.status !== 'pending') {
+      response.status(404).json({error: 'No such pending submission.'});
+      return;
+    }
+    if (typeof request.body.approved !== 'boolean') {
+      response.status(400).json({error: 'approved should be true or false.'});
+      return;
+    }
+    actions.resolveSubmission(submission.submissionId, request.body.approved, request.body.reason);
+    response.status(204).end();
+  });
+
+  // ?category=<name> (all of them if left out), ?from and ?to (anything Date.parse understands) and ?limit
+  router.get('/channels/:channelId/leaderboard', function (request, response) {
+    const category = request.query.category === undefined ? null : request.query.category;
+    if (category !== null && pers.getCategory(request.params.channelId, category) === null) {
+      response.status(400).json({error: 'No such category.'});
+      return;
+    }
+    const from = request.query.from === undefined ? null : Date.parse(request.query.from);
+    const to = request.query.to === undefined ? null : Date.parse(request.query.to);
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      response.status(400).json({error: 'from and to should be dates, like 2020-01-31.'});
+      return;
+    }
+    const limit = Math.min(Math.max(parseInt(request.query.limit) || DEFAULT_LEADERBOARD_SIZE, 1), MAX_PAGE_SIZE);
+    const leaderboard = pers.getLeaderboard(request.params.channelId, category, from, to, limit);
+    response.json(leaderboard);
+  });
+
+  // Posted questions, newest first, with their votes (null until they're tallied) and how many messages and
+  // people there were while each was up. ?from (a date), ?page (from 1) and ?pageSize
+  router.get('/channels/:channelId/archive', function (request, response) {
+    const from = request.query.from === undefined ? null : Date.parse(request.query.from);
+    if (Number.isNaN(from)) {
+      response.status(400).json({error: 'from should be a date, like 2020-01-31.'});
+      return;
+    }
+    const page = Math.max(parseInt(request.query.page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(request.query.pageSize) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const archive = pers.getArchive(request.params.channelId, from, (page - 1) * pageSize, pageSize);
+    response.json({page: page, pageSize: pageSize, total: archive.total, posts: archive.posts});
+  });
+
+  // One posted question from the archive, with its most reacted to replies. ?limit for how many
+  router.get('/channels/:channelId/archive/:postId', function (request, response) {
+    const limit = Math.min(Math.max(parseInt(request.query.limit) || DEFAULT_TOP_REPLIES, 1), MAX_PAGE_SIZE);
+    const post = pers.getArchivedPost(request.params.channelId, parseInt(request.params.postId), limit);
+    if (post === null) {
+      response.status(404).json({error: 'No such post.'});
+      return;
+    }
+    response.json(post);
+  });
+
+  // ?status=queued|posted|all, ?page (from 1) and ?pageSize
+  router.get('/channels/:channelId/questions/:category', function (request, response) {
+    const status = request.query.status || 'queued';
+    const page = Math.max(parseInt(request.query.page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(request.query.pageSize) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const questions = pers.getQuestions(request.params.channelId, request.category.name).filter(function (row) {
+      return status === 'all' || (status === 'posted') === row.posted;
+    });
+    response.json({
+      page: page,
+      pageSize: pageSize,
+      total: questions.length,
+      questions: questions.slice((page - 1) * pageSize, page * pageSize).map(function (row) {
+        return describeQuestion(row, request.params.category);
+      })
+    });
+  });
+
+  router.post('/channels/:channelId/questions/:category', function (request, response) {
+    const question = request.body.question;
+    if (typeof question !== 'string' || question.trim() === '') {
+      response.status(400).json({error: 'A question is needed.'});
+      return;
+    }
+    const author = request.body.author === undefined ? null : String(request.body.author);
+    pers.addQuestion(request.params.channelId, question, author, request.category.name, function (err, info) {
+      if (err) {
+        response.status(500).json({error: 'Something went wrong.'});
+        return;
+      }
+      const added = pers.getQuestion(request.params.channelId, request.category.name, info.lastInsertRowid);
+      response.status(201).json(describeQuestion(added, request.params.category));
+    });
+  });
+
+  // {"question": "..."} to edit it, and/or {"position": 1} to move a queued question, 1 being the next to post.
+  // Queued questions can also be given {"occasion": "12-25"} (a date, a day every year or a holiday, null for none)
+  // and {"tags": ["spooky"]}.
+  router.put('/channels/:channelId/questions/:category/:questionId', function (request, response) {
+    const questionId = parseInt(request.params.questionId);
+    const question = request.body.question;
+    const position = request.body.position === undefined ? null : parseInt(request.body.position);
+    const details = {occasion: request.body.occasion, tags: request.body.tags};
+    const hasDetails = details.occasion !== undefined || details.tags !== undefined;
+    if ((question === undefined && position === null && !hasDetails) || (question !== undefined && (typeof question !== 'string' || question.trim() === '')) || isNaN(position)) {
+      response.status(400).json({error: 'Some question text, a position, an occasion or tags are needed.'});
+      return;
+    }
+    // Everything is checked before anything is saved, so a bad request doesn't leave half its changes behind
+    const checked = hasDetails ? actions.checkQuestionDetails(request.params.channelId, details) : {error: null};
+    if (checked.error !== null) {
+      response.status(400).json({error: checked.error});
+      return;
+    }
+    const changes = {
+      question: question,
+      position: position === null ? undefined : position,
+      occasion: checked.occasion,
+      tags: checked.tags
+    };
+    if (!pers.updateQuestion(request.params.channelId, request.category.name, questionId, changes)) {
+      const queuedOnly = position !== null || hasDetails;
+      response.status(404).json({error: queuedOnly ? 'No such queued question.' : 'No such question.'});
+      return;
+    }
+    response.status(204).end();
+  });
+
+  router.delete('/channels/:channelId/questions/:category/:questionId', function (request, response) {
+    if (!pers.deleteQuestion(request.params.channelId, request.category.name, parseInt(request.params.questionId))) {
+      response.status(404).json({error: 'No such question.'});
+      return;
+    }
+    response.status(204).end();
+  });
+
+  router.post('/channels/:channelId/post', function (request, response) {
+    if (!actions.postNewMessage(request.params.channelId)) {
+      response.status(409).json({error: 'Dee can\'t see that channel right now.'});
+      return;
+    }
+    response.status(202).json({posting: true});
+  });
+
+  // {"onBreak": "weekend"} to send Dee on a break, {"onBreak": null} to bring her back
+  router.put('/channels/:channelId/break', function (request, response) {
+    const onBreak = request.body.onBreak;
+    if (onBreak !== null && !BREAK_TYPES.includes(onBreak)) {
+      response.status(400).json({error: 'onBreak should be null or one of ' + BREAK_TYPES.join(', ') + '.'});
+      return;
+    }
+    if (onBreak !== null) {
+      pers.setQuestionMessageId(request.params.channelId, null, function () {});
+    }
+    pers.setOnBreak(request.params.channelId, onBreak);
+    winston.info('Break for ' + request.params.channelId + ' set to ' + onBreak + ' through the API');
+    response.json({onBreak: onBreak});
+  });
+
+  // Keep errors (including bad JSON bodies) in JSON, rather than Express's HTML page
+  router.use(function (err, request, response, next) {
+    const status = err.status || 500;
+    if (status === 500) {
+      winston.error(err);
+    }
+    response.status(status).json({error: status === 500 ? 'Something went wrong.' : err.message});
+  });
+
+  return router;
+};
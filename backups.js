@@ -0,0 +1,231 @@
+const fs = require('fs');
+const path = require('path');
+const winston = require('winston');
+const database = require('./db.js');
+const migrations = require('./migrations.js');
+
+// Copies of dmcdata.db, made with SQLite's online backup so Dee can keep going while they're taken.
+// Dee takes one on BACKUP_SCHEDULE (cron, in BACKUP_TIMEZONE) and others before migrating the
+// database, on a new version and before leaving a channel, keeping the newest BACKUP_RETENTION
+// taken for each reason in BACKUP_DIR. So the scheduled ones never push out the rest.
+//
+// To run:
+// node backups.js list [--dir ./backups]
+// node backups.js backup [--db ./dmcdata.db] [--dir ./backups]
+// node backups.js restore <file> [--db ./dmcdata.db] [--dir ./backups]
+//
+// Only restore with Dee stopped. The backup is checked first, and the database it replaces is
+// backed up too, in case it was the better of the two after all.
+
+const DEFAULT_DIR = './backups';
+const DEFAULT_RETENTION = 14;
+const BACKUP_PATTERN = /^dmcdata-.+\.db$/;
+const REASON_PATTERN = /^dmcdata-\d{4}-\d\d-\d\dT\d\d-\d\d-\d\d-\d{3}Z-(.+)\.db$/;
+
+exports.defaultSchedule = '0 4 * * *';
+
+exports.getDir = function () {
+  return process.env.BACKUP_DIR || DEFAULT_DIR;
+};
+
+exports.getRetention = function () {
+  const retention = parseInt(process.env.BACKUP_RETENTION);
+  return retention > 0 ? retention : DEFAULT_RETENTION;
+};
+
+// Newest first. The names start with when they were taken, so they sort by name.
+const listBackups = function (dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir).filter(function (name) {
+    return BACKUP_PATTERN.test(name);
+  }).sort().reverse().map(function (name) {
+    return path.join(dir, name);
+  });
+};
+
+exports.listBackups = listBackups;
+
+// What a backup was taken for, as it was put in the file name
+const getReason = function (file) {
+  const match = REASON_PATTERN.exec(path.basename(file));
+  return match ? match[1] : null;
+};
+
+exports.getReason = getReason;
+
+const prune = function (dir, reason, retention) {
+  const sameReason = listBackups(dir).filter(function (file) {
+    return getReason(file) === reason;
+  });
+  for (let file of sameReason.slice(retention)) {
+    fs.unlinkSync(file);
+    winston.info('Removed old backup ' + file);
+  }
+};
+
+/**
+* Backs up the database, then clears out the oldest backups taken for the same reason past the retention.
+*
+* @param {!SqliteDatabase} db The database to back up.
+* @param {string} reason Why, which goes in the file name, e.g. 'scheduled'.
+* @param {string} dir Where to keep backups.
+* @param {number} retention How many backups taken for this reason to keep.
+* @param {function(?Error, string=)} callback Called with the backup's path once it's done.
+*/
+const backup = function (db, reason, dir, retention, callback) {
+  fs.mkdirSync(dir, {recursive: true});
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const safeReason = reason.replace(/[^a-zA-Z0-9.-]/g, '_');
+  const file = path.join(dir, 'dmcdata-' + stamp + '-' + safeReason + '.db');
+  db.backup(file, function (err) {
+    if (err) {
+      callback(err);
+      return;
+    }
+    prune(dir, safeReason, retention);
+    winston.info('Backed up the database to ' + file);
+    callback(null, file);
+  });
+};
+
+exports.backup = backup;
+
+/**
+* Looks for anything that would stop a backup from being restored.
+*
+* @param {string} file The backup.
+* @return {!Array<string>} What's wrong with it, if anything.
+*/
+const checkBackup = function (file) {
+  if (!fs.existsSync(file)) {
+    return ['There\'s no file at ' + file + '.'];
+  }
+  let db;
+  try {
+    db = new database.SqliteDatabase(file);
+    const problems = db.checkIntegrity();
+    if (problems.length === 0) {
+      // Throws if the backup came from a newer version of Dee
+      db.pendingMigrations(migrations.migrations);
+    }
+    return problems;
+  } catch (err) {
+    return [err.message];
+  } finally {
+    if (db) {
+      db.close();
+    }
+  }
+};
+
+exports.checkBackup = checkBackup;
+
+/**
+* Swaps a backup in for the database, after checking it and backing up the database it replaces.
+* Dee mustn't be running.
+*
+* @param {string} file The backup to restore.
+* @param {string} dbFile The database to replace.
+* @param {string} dir Where to keep backups.
+* @param {function(?Error, string=)} callback Called with the backup of the replaced database once it's done.
+*/
+exports.restore = function (file, dbFile, dir, callback) {
+  const problems = checkBackup(file);
+  if (problems.length > 0) {
+    callback(new Error(file + ' can\'t be restored:\n' + problems.join('\n')));
+    return;
+  }
+  const replaced = function (err, replacedBackup) {
+    if (err) {
+      callback(err);
+      return;
+    }
+    // Copy next to the database first, so it's never left half written
+    const restoring = dbFile + '.restoring';
+    fs.copyFileSync(file, restoring);
+    fs.renameSync(restoring, dbFile);
+    winston.info('Restored ' + dbFile + ' from ' + file);
+    callback(null, replacedBackup);
+  };
+  if (!fs.existsSync(dbFile)) {
+    replaced(null, null);
+    return;
+  }
+  const db = new database.SqliteDatabase(dbFile);
+  // Never pruned, so restoring can't clear out the backup being restored if it's an older one of these
+  backup(db, 'before-restore', dir, Infinity, function (err, replacedBackup) {
+    db.close();
+    replaced(err, replacedBackup);
+  });
+};
+
+function parseArgs (argv) {
+  const args = {positional: [], db: './dmcdata.db', dir: exports.getDir()};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--db') {
+      args.db = argv[++i];
+    } else if (argv[i] === '--dir') {
+      args.dir = argv[++i];
+    } else {
+      args.positional.push(argv[i]);
+    }
+  }
+  return args;
+}
+
+function main (argv, done) {
+  const args = parseArgs(argv);
+  const command = args.positional[0];
+  if ((command !== 'list' && command !== 'backup' && command !== 'restore') || (command === 'restore' && !args.positional[1])) {
+    console.error('Usage:\n' +
+      '  node backups.js list [--dir ./backups]\n' +
+      '  node backups.js backup [--db ./dmcdata.db] [--dir ./backups]\n' +
+      '  node backups.js restore <file> [--db ./dmcdata.db] [--dir ./backups]   (with Dee stopped)');
+    done(1);
+    return;
+  }
+
+  winston.level = 'warn';
+  if (command === 'list') {
+    for (let file of listBackups(args.dir)) {
+      console.log(file + '  ' + Math.ceil(fs.statSync(file).size / 1024) + ' KB');
+    }
+    done(0);
+  } else if (command === 'backup') {
+    if (!fs.existsSync(args.db)) {
+      console.error('There\'s no database at ' + args.db + '.');
+      done(1);
+      return;
+    }
+    const db = new database.SqliteDatabase(args.db);
+    backup(db, 'manual', args.dir, exports.getRetention(), function (err, file) {
+      db.close();
+      if (err) {
+        console.error(err.message);
+        done(1);
+        return;
+      }
+      console.log('Backed up to ' + file);
+      done(0);
+    });
+  } else {
+    exports.restore(args.positional[1], args.db, args.dir, function (err, replacedBackup) {
+      if (err) {
+        console.error(err.message);
+        done(1);
+        return;
+      }
+      console.log('Restored ' + args.db + ' from ' + args.positional[1] +
+        (replacedBackup ? '. The database it replaced is in ' + replacedBackup : ''));
+      done(0);
+    });
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2), function (code) {
+    process.exitCode = code;
+  });
+}
@@ -0,0 +1,189 @@
+const winston = require('winston');
+
+// Every channel's settings and state (the channelInfo table), kept in memory so reading them
+// doesn't go to SQLite. Reactions alone can read them many times a second. Writes go to the
+// database first and only then to the cache, so a failed write can't leave the two disagreeing.
+// Nothing else should write to channelInfo while Dee is running, and channel writes should stay
+// out of transactions, since the cache can't be rolled back with them.
+
+// The fields which can be read and written, and their types. SQLite gives back booleans as 1 and
+// 0, and some columns were declared with the wrong type, so this is what they really hold.
+const FIELDS = {
+  'channel': 'string',
+  'reactCount': 'number',
+  'downvoteId': 'string',
+  'upvoteId': 'string',
+  'questionOfTheDay': 'string',
+  'onBreak': 'string',
+  'activity_day-off': 'number',
+  'activity_weekend': 'number',
+  'activity_long-weekend': 'number',
+  'versionText': 'string',
+  'asked': 'boolean',
+  'cronTiming': 'string',
+  'timezone': 'string',
+  'holidayRegion': 'string',
+  'modChannel': 'string',
+  'lastScheduledRun': 'number',
+  'locale': 'string',
+  'persona': 'string',
+  'paused': 'boolean',
+  'theme': 'string',
+  'themeUntil': 'number',
+  'recap': 'boolean',
+  'lastRecap': 'number'
+};
+
+const checkField = function (field) {
+  if (FIELDS[field] === undefined) {
+    throw new Error(`channelInfo has no field ${field}`);
+  }
+};
+
+// Null stays null, since it means the field hasn't been set
+const fromColumn = function (field, value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (FIELDS[field] === 'boolean') {
+    return Boolean(value);
+  }
+  if (FIELDS[field] === 'number') {
+    return Number(value);
+  }
+  return String(value);
+};
+
+/**
+* A write-through cache of the channelInfo table, with typed access to its fields.
+*/
+class ChannelCache {
+  /**
+  * Loads every channel from the database.
+  *
+  * @param {!SqliteDatabase} db The database.
+  * @param {string=} table The name of the channel table.
+  */
+  constructor (db, table = 'channelInfo') {
+    this.db = db;
+    this.table = table;
+    this.rows = new Map();
+    for (let row of db.find(table)) {
+      this.rows.set(row.channel, this.typed(row));
+    }
+    winston.info(`Cached ${this.rows.size} channels`);
+  }
+
+  typed (row) {
+    const typed = Object.assign({}, row);
+    for (let field of Object.keys(FIELDS)) {
+      typed[field] = fromColumn(field, row[field]);
+    }
+    return typed;
+  }
+
+  /**
+  * @param {string} channelId The channel.
+  * @return {boolean} Whether Dee has been introduced to the channel.
+  */
+  has (channelId) {
+    return this.rows.has(channelId);
+  }
+
+  /**
+  * @return {!Array<string>} The ids of every channel.
+  */
+  ids () {
+    return Array.from(this.rows.keys());
+  }
+
+  /**
+  * @param {string} channelId The channel.
+  * @return {?Object} A copy of the channel's row, or null if there's no such channel.
+  */
+  row (channelId) {
+    const row = this.rows.get(channelId);
+    return row === undefined ? null : Object.assign({}, row);
+  }
+
+  /**
+  * @return {!Array<!Object>} Copies of every channel's row.
+  */
+  all () {
+    return Array.from(this.rows.values()).map(row => Object.assign({}, row));
+  }
+
+  /**
+  * Reads one field of a channel.
+  *
+  * @param {string} channelId The channel, which has to exist.
+  * @param {string} field The field, one of FIELDS.
+  * @return {*} The field's value, as its type, or null if it hasn't been set.
+  */
+  get (channelId, field) {
+    checkField(field);
+    const row = this.rows.get(channelId);
+    if (row === undefined) {
+      throw new Error(`No channel ${channelId}`);
+    }
+    return row[field];
+  }
+
+  /**
+  * Writes some fields of a channel, to the database and then the cache.
+  *
+  * @param {string} channelId The channel, which has to exist.
+  * @param {!Object} values The new values by field, each its field's type or null.
+  */
+  set (channelId, values) {
+    const row = this.rows.get(channelId);
+    if (row === undefined) {
+      throw new Error(`No channel ${channelId}`);
+    }
+    this.check(values);
+    this.db.update(this.table, values, {'channel': channelId});
+    Object.assign(row, values);
+  }
+
+  /**
+  * Adds a channel, to the database and then the cache.
+  *
+  * @param {!Object} values The new channel's fields, including its channel id.
+  * @return {!Object} A copy of the new channel's row.
+  */
+  insert (values) {
+    this.check(values);
+    this.db.insert(this.table, values);
+    // Read back, so columns the insert left out are there too
+    this.rows.set(values.channel, this.typed(this.db.findOne(this.table, {'channel': values.channel})));
+    return this.row(values.channel);
+  }
+
+  /**
+  * Removes a channel, from the database and then the cache.
+  *
+  * @param {string} channelId The channel.
+  * @return {boolean} Whether there was such a channel.
+  */
+  delete (channelId) {
+    if (!this.rows.has(channelId)) {
+      return false;
+    }
+    this.db.delete(this.table, {'channel': channelId});
+    this.rows.delete(channelId);
+    return true;
+  }
+
+  check (values) {
+    for (let [field, value] of Object.entries(values)) {
+      checkField(field);
+      const type = typeof value;
+      if (value !== null && type !== FIELDS[field]) {
+        throw new TypeError(`channelInfo.${field} should be a ${FIELDS[field]}, not ${JSON.stringify(value)}`);
+      }
+    }
+  }
+}
+
+exports.ChannelCache = ChannelCache;
+exports.FIELDS = FIELDS;
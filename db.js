@@ -5,6 +5,19 @@
 const sqlite3 = require('better-sqlite3');
 const winston = require('winston');
 
+// Where operators, and the SQL they become
+const COMPARISONS = {
+	'$eq': '=',
+	'$ne': 'IS NOT',
+	'$gt': '>',
+	'$gte': '>=',
+	'$lt': '<',
+	'$lte': '<=',
+	'$in': 'IN',
+	'$nin': 'NOT IN',
+	'$between': 'BETWEEN'
+};
+
 class SqliteDatabase {
 	constructor(filename, schema = null) {
 		this.filename = filename;
@@ -42,7 +55,8 @@ class SqliteDatabase {
 			k = isColumn ? k : escape(k);
 			return quotes + k + quotes;
 		} else if (k === null) {
-			return "null";
+			// Values are bound as parameters, where the string "null" would be saved as-is.
+			return isColumn ? "null" : null;
 		} else if (k === true) {
 			// better-sqlite3 disallows true/false as booleans.
 			return 1;
@@ -103,13 +117,13 @@ class SqliteDatabase {
 			const name = table.tableName;
 			// Create the table.
 			// Wrap the column name in quotes and join together.
+			// (Without touching the schema, so it can be used again.)
 			const flattenedColumns = table.columns.map((v) => {
-				v[0] = this.quote(v[0]);
-				return v.join(' ');
+				return [this.quote(v[0])].concat(v.slice(1)).join(' ');
 			});
 			const columnString = flattenedColumns.join(', ');
 			this.db.prepare(`CREATE TABLE IF NOT EXISTS "${name}" (${columnString});`).run();
-			winston.info(`CREATE TABLE IF NOT EXISTS "${name}" (${columnString});`);
+			winston.debug(`CREATE TABLE IF NOT EXISTS "${name}" (${columnString});`);
 		}
 		// Attempt to commit everything.
 		// We can't use a try/catch because sqlite3 errors are not thrown by this command.
@@ -174,6 +188,150 @@ class SqliteDatabase {
 		return paramString.join(joiner);
 	}
 
+	/**
+	* Whether a where value is an operator object, e.g. {'$gt': 3}, rather than
+	* a nested object to flatten.
+	*
+	* @param {*} value The value to check.
+	* @return {boolean} Whether it's an operator object.
+	*/
+	isOperator(value) {
+		if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+			return false;
+		}
+		const keys = Object.keys(value);
+		return keys.length > 0 && keys.every(k => k.startsWith('$'));
+	}
+
+	/**
+	* Turns where params into a list of conditions, each a column, an operator and a value.
+	* Nested objects are flattened like everything else, apart from operator objects.
+	* e.g. {'channel': 'x', 'position': {'$gt': 1, '$lte': 5}} =>
+	* [['channel', '$eq', 'x'], ['position', '$gt', 1], ['position', '$lte', 5]]
+	*
+	* @param {?Object} params Where params.
+	* @param {string} parent Name of the parent of the object.
+	* @param {!Array} res Intermediate result.
+	* @return {!Array<!Array>} The conditions.
+	*/
+	flattenWhere(params, parent, res = []) {
+		for (let key in params) {
+			const propName = parent ? parent + '_' + key : key;
+			const value = params[key];
+			if (this.isOperator(value)) {
+				for (let operator in value) {
+					res.push([propName, operator, value[operator]]);
+				}
+			} else if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
+				this.flattenWhere(value, propName, res);
+			} else {
+				res.push([propName, '$eq', value]);
+			}
+		}
+		return res;
+	}
+
+	/**
+	* Constructs a where clause out of where params. Values match on equality by default,
+	* or use an operator object like LokiJS did:
+	*   $eq, $ne, $gt, $gte, $lt, $lte take a value, e.g. {'position': {'$gt': 3}}
+	*   $in, $nin take a list, e.g. {'status': {'$in': ['pending', 'posted']}}
+	*   $between takes a list of the lowest and highest values, inclusive.
+	* Null is matched with IS NULL (or IS NOT NULL for $ne).
+	* e.g. {'channel': 'x', 'postedAt': {'$gte': 5}} => '"channel" = ? AND "postedAt" >= ?'
+	*
+	* @param {?Object} params Where params.
+	* @return {string} The clause, without the WHERE, or an empty string if there are no params.
+	*/
+	buildWhereString(params) {
+		return this.flattenWhere(params).map(([k, operator, v]) => {
+			const column = this.quote(k);
+			if (!(operator in COMPARISONS)) {
+				throw new Error(`Unknown operator ${operator} for ${k}.`);
+			}
+			if (v === null && (operator === '$eq' || operator === '$ne')) {
+				return column + (operator === '$eq' ? ' IS NULL' : ' IS NOT NULL');
+			}
+			if (operator === '$in' || operator === '$nin') {
+				if (!Array.isArray(v)) {
+					throw new Error(`${operator} for ${k} needs a list.`);
+				}
+				return `${column} ${COMPARISONS[operator]} (${v.map(() => '?').join(', ')})`;
+			}
+			if (operator === '$between') {
+				if (!Array.isArray(v) || v.length !== 2) {
+					throw new Error(`$between for ${k} needs a list of two values.`);
+				}
+				return `${column} BETWEEN ? AND ?`;
+			}
+			return `${column} ${COMPARISONS[operator]} ?`;
+		}).join(' AND ');
+	}
+
+	/**
+	* The values to bind to a where clause from buildWhereString, in the same order.
+	*
+	* @param {?Object} params Where params.
+	* @return {!Array} The quoted values.
+	*/
+	whereValues(params) {
+		const values = [];
+		for (let [, operator, v] of this.flattenWhere(params)) {
+			if (Array.isArray(v)) {
+				values.push(...this.quoteAll(v, false));
+			} else if (v !== null || (operator !== '$eq' && operator !== '$ne')) {
+				values.push(this.quote(v, false));
+			}
+		}
+		return values;
+	}
+
+	/**
+	* Constructs the ORDER BY, LIMIT and OFFSET for a select query.
+	* orderBy is a column name, or a list of column names and [column name, 'ASC' or 'DESC'] tuples.
+	* e.g. {'orderBy': [['postedAt', 'DESC'], 'position'], 'limit': 10} =>
+	* ' ORDER BY "postedAt" DESC, "position" ASC LIMIT 10'
+	*
+	* @param {?Object} options Any of orderBy, limit and offset.
+	* @return {string} The clauses, with a leading space, or an empty string if there are none.
+	*/
+	buildOptionsString(options = {}) {
+		let optionsString = '';
+		if (options.orderBy) {
+			const orderBy = Array.isArray(options.orderBy) ? options.orderBy : [options.orderBy];
+			optionsString += ' ORDER BY ' + orderBy.map((v) => {
+				const [column, direction = 'ASC'] = Array.isArray(v) ? v : [v];
+				if (direction.toUpperCase() !== 'ASC' && direction.toUpperCase() !== 'DESC') {
+					throw new Error(`Can't order ${column} by ${direction}.`);
+				}
+				return this.quote(column) + ' ' + direction.toUpperCase();
+			}).join(', ');
+		}
+		if (options.limit !== undefined && options.limit !== null) {
+			optionsString += ' LIMIT ' + this.checkCount(options.limit, 'limit');
+		}
+		if (options.offset !== undefined && options.offset !== null) {
+			if (options.limit === undefined || options.limit === null) {
+				// SQLite only allows an offset after a limit, and -1 means no limit.
+				optionsString += ' LIMIT -1';
+			}
+			optionsString += ' OFFSET ' + this.checkCount(options.offset, 'offset');
+		}
+		return optionsString;
+	}
+
+	/**
+	* @param {*} n The limit or offset.
+	* @param {string} name Which it is, for the error.
+	* @return {number} The limit or offset, if it's a whole number that isn't negative.
+	*/
+	checkCount(n, name) {
+		if (!Number.isInteger(n) || n < 0) {
+			throw new Error(`The ${name} should be a whole number, not ${n}.`);
+		}
+		return n;
+	}
+
 	/**
 	* Builds an insertion query.
 	*
@@ -193,15 +351,18 @@ class SqliteDatabase {
 	* Builds a select query.
 	*
 	* @param {!string} table The name of the table to select.
-	* @param {?Object} params A dictionary of column names to values to use as parameters.
+	* @param {?Object} params Where params (see buildWhereString).
+	* @param {?Object} options Any of orderBy, limit and offset (see buildOptionsString).
+	* @param {string} columns What to select.
 	* @return {string} The select query string.
 	*/
-	buildSelectQuery(table, params) {
-		const whereString = this.buildParamString(params);
+	buildSelectQuery(table, params, options = {}, columns = '*') {
+		const whereString = this.buildWhereString(params);
+		const optionsString = this.buildOptionsString(options);
 		if (whereString) {
-			return `SELECT * FROM "${table}" WHERE ${whereString};`;
+			return `SELECT ${columns} FROM "${table}" WHERE ${whereString}${optionsString};`;
 		} else {
-			return `SELECT * FROM "${table}";`;
+			return `SELECT ${columns} FROM "${table}"${optionsString};`;
 		}
 	}
 
@@ -210,21 +371,36 @@ class SqliteDatabase {
 	*
 	* @param {!string} table The name of the table to update.
 	* @param {?Object} valueParams A dictionary of column names to values to update.
-	* @param {?Object} whereParams A dictionary of column names to values to find items.
+	* @param {?Object} whereParams Where params (see buildWhereString).
 	* @return {string} The update query string.
 	*/
 	buildUpdateQuery(table, valueParams, whereParams = {}) {
 		const flattenedValues = this.flattenObj(valueParams);
-		const flattenedWhere = this.flattenObj(whereParams);
 		const valueString = this.buildParamString(flattenedValues, ', ');
-		const whereString = this.buildParamString(flattenedWhere);
+		const whereString = this.buildWhereString(whereParams);
 		if (whereString) {
 			return `UPDATE "${table}" SET ${valueString} WHERE ${whereString};`;
 		} else {
-			return `UPDATE "${table}" SET ${valueString}";`;
+			return `UPDATE "${table}" SET ${valueString};`;
 		}
 	}
 
+	/**
+	* Builds a delete query.
+	*
+	* @param {!string} table The name of the table to delete from.
+	* @param {!Object} whereParams Where params (see buildWhereString).
+	* @return {string} The delete query string.
+	*/
+	buildDeleteQuery(table, whereParams) {
+		const whereString = this.buildWhereString(whereParams);
+		if (!whereString) {
+			// Wiping a whole table should never happen by accident.
+			throw new Error(`Refusing to delete from "${table}" without a where clause.`);
+		}
+		return `DELETE FROM "${table}" WHERE ${whereString};`;
+	}
+
 	/**
 	* @param {!string} table The name of the table to insert into.
 	* @param {?Object} params A dictionary of column names to values to insert.
@@ -232,84 +408,274 @@ class SqliteDatabase {
 	insert(table, params = {}) {
 		const query = this.buildInsertQuery(table, params);
 		const prepared = this.db.prepare(query);
-		winston.info('INSERT:', prepared);
+		winston.debug('INSERT:', prepared);
 		const values = this.quoteAll(Object.values(this.flattenObj(params)), false);
 
 		// Ensure commits are finished before closing.
-		this.db.prepare('BEGIN TRANSACTION;').run();
-		const info = prepared.run(...values);
-		this.db.prepare('COMMIT TRANSACTION;').run();
+		const info = this.runWrite(prepared, values);
 
-		winston.info(info);
+		winston.debug(info);
 		return info;
 	}
 
 	/**
 	* @param {!string} table The name of the table to select from.
-	* @param {?Object} params A dictionary of column names to values to use as parameters.
-	* @return {Promise} A promise that resolves into multiple rows of results of the
-	*   select query.
+	* @param {?Object} params Where params (see buildWhereString).
+	* @param {?Object} options Any of orderBy, limit and offset (see buildOptionsString).
+	* @return {!Array<!Object>} The matching rows.
 	*/
-	find(table, params = {}) {
-		const query = this.buildSelectQuery(table, params);
+	find(table, params = {}, options = {}) {
+		const query = this.buildSelectQuery(table, params, options);
 		const prepared = this.db.prepare(query);
-		winston.info('FIND:', prepared);
-		const values = this.quoteAll(Object.values(this.flattenObj(params)), false);
+		winston.debug('FIND:', prepared);
+		const values = this.whereValues(params);
 		return prepared.all(...values).map(row => this.dequoteAll(row));
 	}
 
 	/**
 	* @param {!string} table The name of the table to select from.
-	* @param {?Object} params A dictionary of column names to values to use as parameters.
-	* @return {Promise} A promise that resolves into one row of results of the select
-	*   query.
+	* @param {?Object} params Where params (see buildWhereString).
+	* @param {?Object} options Any of orderBy and offset, to pick which row.
+	* @return {Object|undefined} The first matching row, if there is one.
 	*/
-	findOne(table, params = {}) {
-		const query = this.buildSelectQuery(table, params);
+	findOne(table, params = {}, options = {}) {
+		const query = this.buildSelectQuery(table, params, Object.assign({}, options, {'limit': 1}));
 		const prepared = this.db.prepare(query);
-		winston.info('FINDONE:', prepared);
-		const values = this.quoteAll(Object.values(this.flattenObj(params)), false);
+		winston.debug('FINDONE:', prepared);
+		const values = this.whereValues(params);
 		return this.dequoteAll(prepared.get(...values));
 	}
 
+	/**
+	* @param {!string} table The name of the table to count rows in.
+	* @param {?Object} params Where params (see buildWhereString).
+	* @return {number} The number of matching rows.
+	*/
+	count(table, params = {}) {
+		const query = this.buildSelectQuery(table, params, {}, 'COUNT(*) AS "count"');
+		const prepared = this.db.prepare(query);
+		winston.debug('COUNT:', prepared);
+		return prepared.get(...this.whereValues(params)).count;
+	}
+
 	/**
 	* @param {!string} table The name of the table to update.
 	* @param {?Object} valueParams A dictionary of column names to values to update.
-	* @param {?Object} whereParams A dictionary of column names to values to find items.
-	* @return {Promise} A promise that resolves into an error if there exists an error.
+	* @param {?Object} whereParams Where params (see buildWhereString).
+	* @return {!Object} Info about the run, including the number of changes.
 	*/
-	update(table, valueParams, whereParams) {
+	update(table, valueParams, whereParams = {}) {
 		const query = this.buildUpdateQuery(table, valueParams, whereParams);
 		const prepared = this.db.prepare(query);
-		winston.info('UPDATE:', prepared);
-		const params = Object.assign(
-			this.flattenObj(valueParams),
-			this.flattenObj(whereParams));
-		const values = this.quoteAll(Object.values(this.flattenObj(params)), false);
+		winston.debug('UPDATE:', prepared);
+		// Values and where params can share a column name, so they can't be merged into one object.
+		const values = this.quoteAll(Object.values(this.flattenObj(valueParams)), false).concat(
+			this.whereValues(whereParams));
+
+		const info = this.runWrite(prepared, values);
+
+		winston.debug(info);
+		return info;
+	}
+
+	/**
+	* @param {!string} table The name of the table to delete from.
+	* @param {!Object} whereParams Where params (see buildWhereString). Needs at least one.
+	* @return {!Object} Info about the run, including the number of changes.
+	*/
+	delete(table, whereParams) {
+		const query = this.buildDeleteQuery(table, whereParams);
+		const prepared = this.db.prepare(query);
+		winston.debug('DELETE:', prepared);
+		const values = this.whereValues(whereParams);
 
+		const info = this.runWrite(prepared, values);
+
+		winston.debug(info);
+		return info;
+	}
+
+	/**
+	* Runs a write in a transaction of its own, or as part of the one already running.
+	*
+	* @param {!Object} prepared The prepared statement.
+	* @param {!Array} values The values to bind to it.
+	* @return {!Object} Info about the run, including the number of changes.
+	*/
+	runWrite(prepared, values) {
+		if (this.db.inTransaction) {
+			return prepared.run(...values);
+		}
 		this.db.prepare('BEGIN TRANSACTION;').run();
-		const info = prepared.run(...values);
-		this.db.prepare('COMMIT TRANSACTION;').run();
+		try {
+			const info = prepared.run(...values);
+			this.db.prepare('COMMIT TRANSACTION;').run();
+			return info;
+		} catch (err) {
+			this.db.prepare('ROLLBACK TRANSACTION;').run();
+			throw err;
+		}
+	}
 
-		winston.info(info);
+	/**
+	* Runs a function in one transaction, so anything it reads can't change before
+	* it's done writing. Inserts, updates and deletes inside it join the transaction,
+	* and everything is rolled back if it throws.
+	* Transactions can be nested, the inner ones become savepoints.
+	*
+	* @param {function(): T} fn The function to run.
+	* @return {T} Whatever the function returns.
+	* @template T
+	*/
+	transaction(fn) {
+		// Immediate, so the write lock is taken up front rather than part way through
+		return this.db.transaction(fn).immediate();
+	}
+
+	/**
+	* @param {!string} table The name of the table.
+	* @return {boolean} Whether the table exists.
+	*/
+	hasTable(table) {
+		return this.db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?;").get(table) !== undefined;
+	}
+
+	/**
+	* @param {!string} table The name of the table.
+	* @return {!Array<string>} The names of the table's columns, or none if it doesn't exist.
+	*/
+	columns(table) {
+		return this.db.prepare(`PRAGMA table_info(${this.quote(table)});`).all().map(column => column.name);
+	}
+
+	/**
+	* Adds a column to a table, unless it's already there.
+	*
+	* @param {!string} table The name of the table.
+	* @param {!string} column The name of the new column.
+	* @param {!string} type Its type, as it would be in the schema, e.g. 'TEXT'.
+	* @return {boolean} Whether the column was added.
+	*/
+	addColumn(table, column, type) {
+		if (this.columns(table).includes(column)) {
+			return false;
+		}
+		const query = `ALTER TABLE ${this.quote(table)} ADD COLUMN ${this.quote(column)} ${type};`;
+		winston.debug('QUERY:', query);
+		this.db.prepare(query).run();
+		return true;
+	}
+
+	/**
+	* Runs a query the builders can't make, like a backfill. Values are bound
+	* as they are, without being escaped.
+	*
+	* @param {!string} query The query, with a ? for each value.
+	* @param {...*} values The values to bind.
+	* @return {!Object} Info about the run, including the number of changes.
+	*/
+	run(query, ...values) {
+		const prepared = this.db.prepare(query);
+		winston.debug('QUERY:', prepared);
+		const info = this.runWrite(prepared, values);
+		winston.debug(info);
 		return info;
 	}
 
 	/**
-	* @param {!string} table The name of the table to update.
-	* @param {?Object} valueParams A dictionary of column names to values to update.
-	* @param {?Object} whereParams A dictionary of column names to values to find items.
-	* @return {Promise} A promise that resolves into an error if there exists an error.
+	* Brings the database up to date by running every migration it hasn't had yet,
+	* in order. schema_migrations keeps track of which ones have run. They all run
+	* in one transaction, so if one fails none of them are kept.
+	*
+	* @param {!Array<!Object>} migrations Objects with a version number, a description
+	*   and an up function, which is passed this database.
+	* @return {!Array<number>} The versions which were applied.
 	*/
-	atomicQuery(queries) {
-		// Eensure each query is run atomically and in sequence.
-		this.db.prepare('BEGIN EXCLUSIVE TRANSACTION;').run();
-		for (query of queries) {
-			winston.info('QUERY:', query);
-			const info = this.db.prepare(query).run();
-			winston.info(info);
+	migrate(migrations) {
+		const pending = this.pendingMigrations(migrations);
+		this.db.prepare('CREATE TABLE IF NOT EXISTS "schema_migrations" ("version" INTEGER PRIMARY KEY, "description" TEXT, "appliedAt" INTEGER);').run();
+		this.transaction(() => {
+			for (let migration of pending) {
+				winston.info(`Migrating ${this.filename} to version ${migration.version}: ${migration.description}`);
+				migration.up(this);
+				this.insert('schema_migrations', {
+					'version': migration.version,
+					'description': migration.description,
+					'appliedAt': Date.now()
+				});
+			}
+		});
+		return pending.map(migration => migration.version);
+	}
+
+	/**
+	* @return {number} The version of the last migration run on the database, or 0 if none have.
+	*/
+	schemaVersion() {
+		if (!this.hasTable('schema_migrations')) {
+			return 0;
 		}
-		this.db.prepare('COMMIT TRANSACTION;').run();
+		return this.db.prepare('SELECT MAX("version") AS "version" FROM "schema_migrations";').get().version || 0;
+	}
+
+	/**
+	* Works out which migrations migrate would run, without running them.
+	* Throws if the database has had a migration this code doesn't know about.
+	*
+	* @param {!Array<!Object>} migrations Objects with a version number, a description and an up function.
+	* @return {!Array<!Object>} The migrations still to run, in order.
+	*/
+	pendingMigrations(migrations) {
+		const versions = migrations.map(migration => migration.version);
+		if (new Set(versions).size !== versions.length) {
+			throw new Error('Migration versions must be unique.');
+		}
+		const latest = Math.max(0, ...versions);
+		const current = this.schemaVersion();
+		if (current > latest) {
+			throw new Error(`${this.filename} is at schema version ${current}, but this code only knows about versions up to ${latest}. ` +
+				'It was probably last opened by a newer version of Dee, so update the code rather than risk the data.');
+		}
+		return migrations.filter(migration => migration.version > current).sort((a, b) => a.version - b.version);
+	}
+
+	/**
+	* Copies the database to another file with SQLite's online backup, so it can
+	* keep being used while the copy is made.
+	*
+	* @param {!string} destination The file to copy to.
+	* @param {function(?Error)} callback Called once the copy is finished.
+	*/
+	backup(destination, callback) {
+		winston.info(`Backing up ${this.filename} to ${destination}`);
+		this.db.backup(destination).then(() => callback(null), callback);
+	}
+
+	/**
+	* @return {!Array<string>} Everything SQLite's integrity check found wrong with the database, if anything.
+	*/
+	checkIntegrity() {
+		const results = this.db.pragma('integrity_check').map(row => row.integrity_check);
+		return results.length === 1 && results[0] === 'ok' ? [] : results;
+	}
+
+	close() {
+		this.db.close();
+	}
+
+	/**
+	* Runs raw queries in sequence, keeping all of them or none.
+	*
+	* @param {!Array<string>} queries The queries to run.
+	*/
+	atomicQuery(queries) {
+		this.transaction(() => {
+			for (const query of queries) {
+				winston.debug('QUERY:', query);
+				const info = this.db.prepare(query).run();
+				winston.debug(info);
+			}
+		});
 	}
 }
 
@@ -0,0 +1,187 @@
+const EventEmitter = require('events');
+const Discord = require('discord.js');
+
+// Dee on Discord, through discord.js. See transport.js for what every transport does.
+
+// Whoever can manage the server can change Dee's settings and moderate questions
+const ADMIN_PERMISSION = 'MANAGE_GUILD';
+
+// Unicode emoji are themselves, custom ones are name:id, which is also what react takes
+const emojiName = function (emoji) {
+  return emoji.id ? emoji.identifier : emoji.name;
+};
+
+class DiscordUser {
+  constructor (user) {
+    this.user = user;
+    this.id = user.id;
+    this.name = user.username;
+    this.isBot = user.bot;
+  }
+
+  send (content) {
+    return this.user.send(content).then((message) => new DiscordMessage(message));
+  }
+}
+
+class DiscordChannel {
+  constructor (channel) {
+    this.channel = channel;
+    this.id = channel.id;
+    this.name = channel.name || null;
+    this.server = channel.guild ? {id: channel.guild.id, name: channel.guild.name} : null;
+    this.isDirect = channel.type === 'dm';
+  }
+
+  send (content) {
+    return this.channel.send(content).then((message) => new DiscordMessage(message));
+  }
+
+  fetchMessage (messageId) {
+    return this.channel.fetchMessage(messageId).then((message) => new DiscordMessage(message));
+  }
+
+  startTyping () {
+    this.channel.startTyping();
+  }
+
+  stopTyping () {
+    this.channel.stopTyping();
+  }
+}
+
+class DiscordMessage {
+  constructor (message) {
+    this.message = message;
+    this.id = message.id;
+    this.channel = new DiscordChannel(message.channel);
+    this.author = new DiscordUser(message.author);
+    this.content = message.content;
+    this.createdTimestamp = message.createdTimestamp;
+  }
+
+  get pinned () {
+    return this.message.pinned;
+  }
+
+  get reactions () {
+    return this.message.reactions.map(function (reaction) {
+      return {emoji: emojiName(reaction.emoji), count: reaction.count, me: reaction.me};
+    });
+  }
+
+  react (emoji) {
+    return this.message.react(emoji).then(() => this);
+  }
+
+  pin () {
+    return this.message.pin().then(() => this);
+  }
+
+  unpin () {
+    return this.message.unpin().then(() => this);
+  }
+
+  edit (content) {
+    return this.message.edit(content).then((message) => new DiscordMessage(message));
+  }
+}
+
+/**
+* A transport for Discord. Channels are text channels, and the server is the guild.
+*/
+class DiscordTransport extends EventEmitter {
+  /**
+  * @param {{token: string, client: (Discord.Client|undefined)}} options The bot's token, and the
+  *   client to log in with if not a new one, like the simulator's fake one (fake_discord.js).
+  */
+  constructor (options) {
+    super();
+    this.token = options.token;
+    this.client = options.client || new Discord.Client({autoReconnect: true});
+    this.client.on('ready', () => this.emit('ready'));
+    this.client.on('message', (message) => this.emit('message', new DiscordMessage(message)));
+    this.client.on('messageReactionAdd', (reaction, user) => this.emitReaction('reactionAdd', reaction, user));
+    this.client.on('messageReactionRemove', (reaction, user) => this.emitReaction('reactionRemove', reaction, user));
+    // discord.js only has events for edits and deletes of messages it has cached, which is
+    // nothing from before Dee last started, so these come straight from the gateway
+    this.client.on('raw', (packet) => this.handleRaw(packet));
+  }
+
+  handleRaw (packet) {
+    const data = packet.d || {};
+    if (packet.t === 'MESSAGE_UPDATE' && typeof data.content === 'string') {
+      // Updates without content are Discord adding embeds, not edits
+      this.emit('messageUpdate', data.channel_id, data.id, data.content);
+    } else if (packet.t === 'MESSAGE_DELETE') {
+      this.emit('messageDelete', data.channel_id, data.id);
+    } else if (packet.t === 'MESSAGE_DELETE_BULK') {
+      for (let messageId of data.ids || []) {
+        this.emit('messageDelete', data.channel_id, messageId);
+      }
+    }
+  }
+
+  emitReaction (event, reaction, user) {
+    this.emit(event, {emoji: emojiName(reaction.emoji), message: new DiscordMessage(reaction.message)}, new DiscordUser(user));
+  }
+
+  get user () {
+    return new DiscordUser(this.client.user);
+  }
+
+  login () {
+    return this.client.login(this.token);
+  }
+
+  getChannel (channelId) {
+    const channel = this.client.channels.get(channelId);
+    return channel === undefined ? undefined : new DiscordChannel(channel);
+  }
+
+  fetchUser (userId) {
+    return this.client.fetchUser(userId).then((user) => new DiscordUser(user));
+  }
+
+  // Members are fetched, since they aren't all cached
+  fetchMember (channel, user) {
+    const guild = channel.channel.guild;
+    if (!guild) {
+      return Promise.resolve(null);
+    }
+    return guild.fetchMember(user.id).catch(function () {
+      return null;
+    });
+  }
+
+  isAdmin (channel, user) {
+    return this.fetchMember(channel, user).then(function (member) {
+      return member !== null && member.hasPermission(ADMIN_PERMISSION);
+    });
+  }
+
+  isMember (channel, user) {
+    return this.fetchMember(channel, user).then(function (member) {
+      return member !== null;
+    });
+  }
+
+  channelMention (channelId) {
+    return '<#' + channelId + '>';
+  }
+
+  findChannelMention (text) {
+    return text.replace(/^<#(\d+)>$/, '$1');
+  }
+
+  // Custom emoji are typed as <:name:id>, or <a:name:id> if they're animated
+  findEmoji (text) {
+    return text.replace(/^<a?:(\w+:\d+)>$/, '$1');
+  }
+
+  messageLink (channel, messageId) {
+    return 'https://discordapp.com/channels/' + channel.server.id + '/' + channel.id + '/' + messageId;
+  }
+}
+
+exports.DiscordTransport = DiscordTransport;
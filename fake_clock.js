@@ -0,0 +1,160 @@
+// A clock for the simulator (see simulator.js) which only moves when it's told to. Once installed,
+// Date and the timer functions run on it, so everything from cron to moment sees the simulated
+// time, and a day's worth of scheduled posts can run in an instant.
+
+const RealDate = Date;
+const realTimers = {
+  setTimeout: global.setTimeout,
+  clearTimeout: global.clearTimeout,
+  setInterval: global.setInterval,
+  clearInterval: global.clearInterval,
+  setImmediate: global.setImmediate
+};
+
+let now = RealDate.now();
+let nextId = 1;
+let timers = [];
+
+class FakeDate extends RealDate {
+  constructor (...args) {
+    if (args.length === 0) {
+      super(now);
+    } else {
+      super(...args);
+    }
+  }
+
+  static now () {
+    return now;
+  }
+}
+
+// Enough of Node's Timeout for cron and friends, which unref theirs
+class Timer {
+  constructor (callback, delay, args, repeat) {
+    this.id = nextId++;
+    this.callback = callback;
+    this.delay = Math.max(1, Number(delay) || 0);
+    this.args = args;
+    this.repeat = repeat;
+    this.due = now + this.delay;
+  }
+
+  ref () {
+    return this;
+  }
+
+  unref () {
+    return this;
+  }
+
+  hasRef () {
+    return false;
+  }
+
+  refresh () {
+    this.due = now + this.delay;
+    return this;
+  }
+}
+
+const addTimer = function (callback, delay, args, repeat) {
+  const timer = new Timer(callback, delay, args, repeat);
+  timers.push(timer);
+  return timer;
+};
+
+const removeTimer = function (timer) {
+  timers = timers.filter(function (other) {
+    return other !== timer;
+  });
+};
+
+// Lets anything waiting on promises (like a message being sent) finish before time moves on
+const settle = function () {
+  let rounds = 20;
+  return new Promise(function (resolve) {
+    const round = function () {
+      if (--rounds === 0) {
+        resolve();
+      } else {
+        realTimers.setImmediate(round);
+      }
+    };
+    realTimers.setImmediate(round);
+  });
+};
+
+exports.settle = settle;
+
+// Waits in real time, for things like file reads which happen outside of the event loop's turns
+exports.waitReal = function (ms) {
+  return new Promise(function (resolve) {
+    realTimers.setTimeout(resolve, ms);
+  });
+};
+
+/**
+* Swaps Date and the timer functions for ones which run on this clock.
+*
+* @param {number=} start When the clock starts (ms), the real time by default.
+*/
+exports.install = function (start = RealDate.now()) {
+  now = start;
+  global.Date = FakeDate;
+  global.setTimeout = function (callback, delay, ...args) {
+    return addTimer(callback, delay, args, false);
+  };
+  global.setInterval = function (callback, delay, ...args) {
+    return addTimer(callback, delay, args, true);
+  };
+  global.clearTimeout = global.clearInterval = removeTimer;
+};
+
+exports.uninstall = function () {
+  global.Date = RealDate;
+  Object.assign(global, realTimers);
+  timers = [];
+};
+
+exports.now = function () {
+  return now;
+};
+
+/**
+* Moves the clock forward, running every timer which comes due on the way, in order and each
+* at the time it was due.
+*
+* @param {number} ms How far to move.
+* @return {!Promise} Resolves once the clock's there.
+*/
+exports.advance = function (ms) {
+  const target = now + Math.max(0, ms);
+  const step = function () {
+    const due = timers.filter(function (timer) {
+      return timer.due <= target;
+    }).sort(function (a, b) {
+      return a.due - b.due || a.id - b.id;
+    })[0];
+    if (due === undefined) {
+      now = target;
+      return settle();
+    }
+    now = Math.max(now, due.due);
+    if (due.repeat) {
+      due.due = now + due.delay;
+    } else {
+      removeTimer(due);
+    }
+    due.callback(...due.args);
+    return settle().then(step);
+  };
+  return settle().then(step);
+};
+
+// When the next timer is due, or null if there aren't any
+exports.nextDue = function () {
+  return timers.reduce(function (next, timer) {
+    return next === null || timer.due < next ? timer.due : next;
+  }, null);
+};
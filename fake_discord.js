@@ -0,0 +1,322 @@
+const EventEmitter = require('events');
+
+// A stand-in for the parts of discord.js (v11) Dee uses, so the simulator (see simulator.js) can
+// run her without Discord. Everything happens in memory: one server, whatever channels and users
+// the simulator adds, and whatever Dee sends goes to the client's output function instead.
+
+let nextSnowflake = 1000;
+const snowflake = function () {
+  return String(nextSnowflake++);
+};
+
+// Emoji can be given as the emoji itself or as discord.js's identifier for it (URL encoded)
+const emojiFor = function (emoji) {
+  const name = emoji.includes('%') ? decodeURIComponent(emoji) : emoji;
+  return {
+    name: name,
+    identifier: encodeURIComponent(name),
+    toString: function () {
+      return name;
+    }
+  };
+};
+
+class Collection extends Map {
+  array () {
+    return Array.from(this.values());
+  }
+
+  first () {
+    return this.array()[0];
+  }
+
+  find (fn) {
+    return this.array().find(fn);
+  }
+
+  filter (fn) {
+    const filtered = new Collection();
+    for (let [key, value] of this) {
+      if (fn(value, key)) {
+        filtered.set(key, value);
+      }
+    }
+    return filtered;
+  }
+
+  map (fn) {
+    return this.array().map(fn);
+  }
+
+  reduce (fn, initial) {
+    return this.array().reduce(fn, initial);
+  }
+}
+
+class User {
+  constructor (client, name, isBot = false) {
+    this.client = client;
+    this.id = snowflake();
+    this.username = name;
+    this.bot = isBot;
+    this.dmChannel = null;
+  }
+
+  openDM () {
+    if (this.dmChannel === null) {
+      this.dmChannel = new DMChannel(this.client, this);
+      this.client.channels.set(this.dmChannel.id, this.dmChannel);
+    }
+    return this.dmChannel;
+  }
+
+  send (content) {
+    return this.openDM().send(content);
+  }
+
+  toString () {
+    return '<@' + this.id + '>';
+  }
+}
+
+class GuildMember {
+  constructor (guild, user, permissions) {
+    this.guild = guild;
+    this.user = user;
+    this.id = user.id;
+    this.permissions = permissions;
+  }
+
+  hasPermission (permission) {
+    return this.permissions.includes(permission) || this.permissions.includes('ADMINISTRATOR');
+  }
+}
+
+class Guild {
+  constructor (client, name) {
+    this.client = client;
+    this.id = snowflake();
+    this.name = name;
+    this.members = new Collection();
+    this.channels = new Collection();
+  }
+
+  fetchMember (user) {
+    const member = this.members.get(typeof user === 'string' ? user : user.id);
+    return member ? Promise.resolve(member) : Promise.reject(new Error('Unknown Member'));
+  }
+
+  get me () {
+    return this.members.get(this.client.user.id);
+  }
+}
+
+class MessageReaction {
+  constructor (message, emoji) {
+    this.message = message;
+    this.emoji = emoji;
+    this.users = new Collection();
+  }
+
+  get count () {
+    return this.users.size;
+  }
+
+  get me () {
+    return this.users.has(this.message.client.user.id);
+  }
+}
+
+class Message {
+  constructor (channel, author, content) {
+    this.client = channel.client;
+    this.id = snowflake();
+    this.channel = channel;
+    this.guild = channel.guild || null;
+    this.author = author;
+    this.member = this.guild ? this.guild.members.get(author.id) || null : null;
+    this.content = content;
+    this.createdTimestamp = Date.now();
+    this.pinned = false;
+    this.reactions = new Collection();
+  }
+
+  // Adds (or takes away) a user's reaction, and tells the client like Discord would
+  setReaction (emoji, user, added) {
+    const found = emojiFor(emoji);
+    let reaction = this.reactions.get(found.identifier);
+    if (reaction === undefined) {
+      reaction = new MessageReaction(this, found);
+      this.reactions.set(found.identifier, reaction);
+    }
+    if (added === reaction.users.has(user.id)) {
+      return reaction;
+    }
+    if (added) {
+      reaction.users.set(user.id, user);
+    } else {
+      reaction.users.delete(user.id);
+    }
+    if (user.id === this.client.user.id) {
+      this.client.output({type: 'react', message: this, emoji: found.name, added: added});
+    }
+    this.client.emit(added ? 'messageReactionAdd' : 'messageReactionRemove', reaction, user);
+    return reaction;
+  }
+
+  react (emoji) {
+    return Promise.resolve(this.setReaction(emoji, this.client.user, true));
+  }
+
+  pin () {
+    this.pinned = true;
+    this.client.output({type: 'pin', message: this});
+    return Promise.resolve(this);
+  }
+
+  unpin () {
+    this.pinned = false;
+    this.client.output({type: 'unpin', message: this});
+    return Promise.resolve(this);
+  }
+
+  // Discord tells bots about edits and deletes as raw gateway events, see discord_transport.js
+  edit (content) {
+    this.content = content;
+    if (this.author.id === this.client.user.id) {
+      this.client.output({type: 'edit', message: this});
+    }
+    this.client.emit('raw', {t: 'MESSAGE_UPDATE', d: {id: this.id, channel_id: this.channel.id, content: content}});
+    return Promise.resolve(this);
+  }
+
+  delete () {
+    this.channel.messages.delete(this.id);
+    this.client.emit('raw', {t: 'MESSAGE_DELETE', d: {id: this.id, channel_id: this.channel.id}});
+    return Promise.resolve(this);
+  }
+}
+
+class Channel {
+  constructor (client) {
+    this.client = client;
+    this.id = snowflake();
+    this.messages = new Collection();
+  }
+
+  // Anyone (Dee included) posting in the channel
+  post (author, content) {
+    const message = new Message(this, author, String(content));
+    this.messages.set(message.id, message);
+    if (author.id === this.client.user.id) {
+      this.client.output({type: 'send', message: message});
+    }
+    this.client.emit('message', message);
+    return message;
+  }
+
+  send (content) {
+    return Promise.resolve(this.post(this.client.user, content));
+  }
+
+  fetchMessage (messageId) {
+    const message = this.messages.get(messageId);
+    return message ? Promise.resolve(message) : Promise.reject(new Error('Unknown Message'));
+  }
+
+  startTyping () {}
+
+  stopTyping () {}
+}
+
+class TextChannel extends Channel {
+  constructor (guild, name) {
+    super(guild.client);
+    this.type = 'text';
+    this.guild = guild;
+    this.name = name;
+  }
+
+  toString () {
+    return '<#' + this.id + '>';
+  }
+}
+
+class DMChannel extends Channel {
+  constructor (client, recipient) {
+    super(client);
+    this.type = 'dm';
+    this.recipient = recipient;
+  }
+}
+
+/**
+* The fake client. Besides what discord.js has, it can set up users and channels, and has an output
+* function which is given everything Dee does: {type: 'send' | 'edit' | 'pin' | 'unpin' | 'react', message}.
+*/
+class Client extends EventEmitter {
+  constructor () {
+    super();
+    this.user = new User(this, 'Dee', true);
+    this.users = new Collection([[this.user.id, this.user]]);
+    this.channels = new Collection();
+    this.guilds = new Collection();
+    this.output = function () {};
+  }
+
+  // Nothing to log in to, the simulator says when Dee's ready
+  login () {
+    return Promise.resolve('simulated');
+  }
+
+  fetchUser (userId) {
+    const user = this.users.get(userId);
+    return user ? Promise.resolve(user) : Promise.reject(new Error('Unknown User'));
+  }
+
+  addGuild (name) {
+    const guild = new Guild(this, name);
+    this.guilds.set(guild.id, guild);
+    guild.members.set(this.user.id, new GuildMember(guild, this.user, []));
+    return guild;
+  }
+
+  // Channels get a new id, unless they need to match one Dee already knows
+  addChannel (guild, name, channelId = null) {
+    const channel = new TextChannel(guild, name);
+    channel.id = channelId || channel.id;
+    guild.channels.set(channel.id, channel);
+    this.channels.set(channel.id, channel);
+    return channel;
+  }
+
+  // Users join every server, with the given permissions (like MANAGE_GUILD) in each
+  addUser (name, permissions = []) {
+    const user = new User(this, name);
+    this.users.set(user.id, user);
+    for (let guild of this.guilds.values()) {
+      guild.members.set(user.id, new GuildMember(guild, user, permissions));
+    }
+    return user;
+  }
+
+  // What a user sends Dee in a DM
+  directMessage (user, content) {
+    return user.openDM().post(user, content);
+  }
+}
+
+// Makes sure new ids come after these, like ones saved in a database from an earlier run
+exports.reserveIds = function (ids) {
+  for (let id of ids) {
+    if (/^\d+$/.test(id) && Number(id) >= nextSnowflake) {
+      nextSnowflake = Number(id) + 1;
+    }
+  }
+};
+
+exports.Client = Client;
+exports.Collection = Collection;
+exports.TextChannel = TextChannel;
+exports.DMChannel = DMChannel;
+exports.Message = Message;
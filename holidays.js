@@ -0,0 +1,376 @@
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment-timezone');
+const winston = require('winston');
+
+// Works out which days Dee takes off.
+//
+// A channel's holiday region is a comma separated list of calendars, e.g. 'nz-auckland,ourserver'.
+// Each calendar is either one of the built-in regions below, or the name of a file in ./holidays:
+//
+// * <name>.json - an array of {"name": "...", "date": "2021-12-24"}. Leave the year off
+//   ("date": "12-24") for something that happens every year.
+// * <name>.ics - any iCalendar export. All-day VEVENTs are read, including multi-day events and
+//   yearly RRULEs.
+
+const CALENDAR_DIR = path.join(__dirname, 'holidays');
+const DATE_FORMAT = 'YYYY-MM-DD';
+
+const defaultRegion = 'nz-auckland';
+
+// Rules for building up a region. Each one returns a moment for the given year, or null if
+// the holiday doesn't happen that year.
+
+function fixed (month, day) {
+  return function (year) {
+    return moment.utc([year, month - 1, day]);
+  };
+}
+
+// n-th given weekday (0 = Sunday) of the month, or the last one if n is -1
+function nthWeekday (month, weekday, n) {
+  return function (year) {
+    if (n === -1) {
+      const last = moment.utc([year, month - 1, 1]).endOf('month').startOf('day');
+      return last.subtract((last.day() - weekday + 7) % 7, 'days');
+    }
+    const first = moment.utc([year, month - 1, 1]);
+    return first.add((weekday - first.day() + 7) % 7 + (n - 1) * 7, 'days');
+  };
+}
+
+// The given weekday closest to a date, e.g. anniversary days are the Monday nearest to them
+function nearestWeekday (month, day, weekday) {
+  return function (year) {
+    const date = moment.utc([year, month - 1, day]);
+    let offset = (weekday - date.day() + 7) % 7;
+    if (offset > 3) {
+      offset -= 7;
+    }
+    return date.add(offset, 'days');
+  };
+}
+
+// Days relative to Easter Sunday, using the anonymous Gregorian algorithm
+function easter (offset) {
+  return function (year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = (h + l - 7 * m + 114) % 31 + 1;
+    return moment.utc([year, month - 1, day]).add(offset, 'days');
+  };
+}
+
+// Holidays which don't follow a rule, at most one date per year
+function table (dates) {
+  return function (year) {
+    const date = dates.find(function (date) {
+      return date.startsWith(year + '-');
+    });
+    return date ? moment.utc(date, DATE_FORMAT) : null;
+  };
+}
+
+function since (firstYear, rule) {
+  return function (year) {
+    return year >= firstYear ? rule(year) : null;
+  };
+}
+
+// Matariki follows the lunar calendar, so the dates are set in legislation ahead of time
+const matariki = table([
+  '2022-06-24', '2023-07-14', '2024-06-28', '2025-06-20',
+  '2026-07-10', '2027-06-25', '2028-07-14', '2029-07-06',
+  '2030-06-21', '2031-07-11', '2032-07-02', '2033-06-24',
+  '2034-07-07', '2035-06-29', '2036-07-18', '2037-07-10',
+  '2038-06-25', '2039-07-15', '2040-07-06', '2041-07-19',
+  '2042-07-11', '2043-07-03', '2044-06-24', '2045-07-07',
+  '2046-06-29', '2047-07-19', '2048-07-03', '2049-06-25',
+  '2050-07-15', '2051-06-30', '2052-06-21'
+]);
+
+// How a holiday is observed when it lands on a weekend:
+// 'forward' - "Mondayised", moved to the next weekday that isn't already a holiday
+// 'nearest' - Saturday holidays are taken on the Friday, Sunday ones on the Monday
+// undefined - not observed at all
+const nz = [
+  {name: 'New Year\'s Day', date: fixed(1, 1), observe: 'forward'},
+  {name: 'Day after New Year\'s Day', date: fixed(1, 2), observe: 'forward'},
+  {name: 'Waitangi Day', date: fixed(2, 6), observe: 'forward'},
+  {name: 'Good Friday', date: easter(-2)},
+  {name: 'Easter Monday', date: easter(1)},
+  {name: 'Anzac Day', date: fixed(4, 25), observe: 'forward'},
+  {name: 'King\'s Birthday', date: nthWeekday(6, 1, 1)},
+  {name: 'Matariki', date: matariki},
+  {name: 'Labour Day', date: nthWeekday(10, 1, 4)},
+  {name: 'Christmas Day', date: fixed(12, 25), observe: 'forward'},
+  {name: 'Boxing Day', date: fixed(12, 26), observe: 'forward'}
+];
+
+const regions = {
+  'none': [],
+  'nz': nz,
+  'nz-auckland': nz.concat([
+    {name: 'Auckland Anniversary Day', date: nearestWeekday(1, 29, 1)}
+  ]),
+  'nz-wellington': nz.concat([
+    {name: 'Wellington Anniversary Day', date: nearestWeekday(1, 22, 1)}
+  ]),
+  'gb-eng': [
+    {name: 'New Year\'s Day', date: fixed(1, 1), observe: 'forward'},
+    {name: 'Good Friday', date: easter(-2)},
+    {name: 'Easter Monday', date: easter(1)},
+    {name: 'Early May Bank Holiday', date: nthWeekday(5, 1, 1)},
+    {name: 'Spring Bank Holiday', date: nthWeekday(5, 1, -1)},
+    {name: 'Summer Bank Holiday', date: nthWeekday(8, 1, -1)},
+    {name: 'Christmas Day', date: fixed(12, 25), observe: 'forward'},
+    {name: 'Boxing Day', date: fixed(12, 26), observe: 'forward'}
+  ],
+  'us': [
+    {name: 'New Year\'s Day', date: fixed(1, 1), observe: 'nearest'},
+    {name: 'Martin Luther King Jr. Day', date: nthWeekday(1, 1, 3)},
+    {name: 'Presidents\' Day', date: nthWeekday(2, 1, 3)},
+    {name: 'Memorial Day', date: nthWeekday(5, 1, -1)},
+    {name: 'Juneteenth', date: since(2021, fixed(6, 19)), observe: 'nearest'},
+    {name: 'Independence Day', date: fixed(7, 4), observe: 'nearest'},
+    {name: 'Labor Day', date: nthWeekday(9, 1, 1)},
+    {name: 'Columbus Day', date: nthWeekday(10, 1, 2)},
+    {name: 'Veterans Day', date: fixed(11, 11), observe: 'nearest'},
+    {name: 'Thanksgiving', date: nthWeekday(11, 4, 4)},
+    {name: 'Christmas Day', date: fixed(12, 25), observe: 'nearest'}
+  ]
+};
+
+function isWeekend (date) {
+  return date.day() === 0 || date.day() === 6;
+}
+
+// Works out the days a built-in region actually has off in a given year
+function buildRegionYear (rules, year) {
+  const holidays = rules.map(function (rule) {
+    return {name: rule.name, date: rule.date(year), observe: rule.observe};
+  }).filter(function (holiday) {
+    return holiday.date !== null;
+  }).sort(function (a, b) {
+    return a.date.valueOf() - b.date.valueOf();
+  });
+
+  const taken = {};
+  const days = [];
+  const add = function (date, name) {
+    taken[date.format(DATE_FORMAT)] = true;
+    days.push({date: date.format(DATE_FORMAT), name: name});
+  };
+
+  for (let holiday of holidays) {
+    add(holiday.date, holiday.name);
+  }
+  for (let holiday of holidays) {
+    if (!isWeekend(holiday.date) || holiday.observe === undefined) {
+      continue;
+    }
+    const observed = holiday.date.clone();
+    if (holiday.observe === 'nearest') {
+      observed.add(observed.day() === 6 ? -1 : 1, 'days');
+    } else {
+      while (isWeekend(observed) || taken[observed.format(DATE_FORMAT)]) {
+        observed.add(1, 'days');
+      }
+    }
+    add(observed, holiday.name + ' (observed)');
+  }
+  return days;
+}
+
+let calendars = null;
+let cache = {};
+
+function parseJsonCalendar (contents) {
+  return JSON.parse(contents).map(function (entry) {
+    const yearly = /^\d{2}-\d{2}$/.test(entry.date);
+    const date = moment.utc(entry.date, yearly ? 'MM-DD' : DATE_FORMAT, true);
+    if (!date.isValid()) {
+      throw new Error('Invalid date ' + entry.date);
+    }
+    return {name: entry.name || 'Holiday', date: date, days: 1, yearly: yearly};
+  });
+}
+
+function parseIcsCalendar (contents) {
+  // Long lines are folded onto the next line with a leading space
+  const lines = contents.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const entries = [];
+  let event = null;
+  for (let line of lines) {
+    const separator = line.indexOf(':');
+    if (separator === -1) {
+      continue;
+    }
+    const key = line.substring(0, separator).split(';')[0].toUpperCase();
+    const value = line.substring(separator + 1).trim();
+    if (key === 'BEGIN' && value === 'VEVENT') {
+      event = {name: 'Holiday', yearly: false, timed: false};
+    } else if (event === null) {
+      continue;
+    } else if (key === 'SUMMARY') {
+      event.name = value.replace(/\\([,;\\])/g, '$1');
+    } else if (key === 'DTSTART' || key === 'DTEND') {
+      // Events with a time of day (20211224T090000) are meetings and the like, not days off
+      event.timed = event.timed || value.includes('T');
+      event[key] = moment.utc(value.substring(0, 8), 'YYYYMMDD', true);
+    } else if (key === 'RRULE') {
+      event.yearly = /FREQ=YEARLY/i.test(value);
+    } else if (key === 'END' && value === 'VEVENT') {
+      if (event.DTSTART && event.DTSTART.isValid() && !event.timed) {
+        // DTEND is exclusive, and missing for single day events
+        const days = event.DTEND && event.DTEND.isValid() ? Math.max(event.DTEND.diff(event.DTSTART, 'days'), 1) : 1;
+        entries.push({name: event.name, date: event.DTSTART, days: days, yearly: event.yearly});
+      }
+      event = null;
+    }
+  }
+  return entries;
+}
+
+/**
+* (Re)loads every calendar file in the holidays directory.
+* Files which can't be read are logged and skipped, rather than stopping Dee from starting.
+*/
+const reloadCalendars = function () {
+  calendars = {};
+  cache = {};
+  if (!fs.existsSync(CALENDAR_DIR)) {
+    return;
+  }
+  for (let file of fs.readdirSync(CALENDAR_DIR)) {
+    const ext = path.extname(file).toLowerCase();
+    const name = path.basename(file, path.extname(file)).toLowerCase();
+    if (ext !== '.json' && ext !== '.ics') {
+      continue;
+    }
+    try {
+      const contents = fs.readFileSync(path.join(CALENDAR_DIR, file), 'utf8');
+      calendars[name] = ext === '.json' ? parseJsonCalendar(contents) : parseIcsCalendar(contents);
+      winston.info('Loaded holiday calendar ' + name + ' with ' + calendars[name].length + ' entries');
+    } catch (err) {
+      winston.error('Failed to load holiday calendar ' + file + ': ' + err.message);
+    }
+  }
+};
+
+exports.reloadCalendars = reloadCalendars;
+exports.parseIcsCalendar = parseIcsCalendar;
+
+function getCalendars () {
+  if (calendars === null) {
+    reloadCalendars();
+  }
+  return calendars;
+}
+
+function buildCalendarYear (entries, year) {
+  const days = [];
+  for (let entry of entries) {
+    if (!entry.yearly && entry.date.year() !== year) {
+      continue;
+    }
+    const start = entry.yearly ? entry.date.clone().year(year) : entry.date.clone();
+    for (let i = 0; i < entry.days; i++) {
+      days.push({date: start.clone().add(i, 'days').format(DATE_FORMAT), name: entry.name});
+    }
+  }
+  return days;
+}
+
+function splitRegion (region) {
+  return (region || defaultRegion).split(',').map(function (part) {
+    return part.trim().toLowerCase();
+  }).filter(function (part) {
+    return part !== '';
+  });
+}
+
+/**
+* Lists every day off for a region in a given year, including observed days.
+*
+* @param {number} year The year to list.
+* @param {?string} region Comma separated list of calendars, defaults to Auckland.
+* @return {!Array<!Object>} Objects with a date (YYYY-MM-DD) and a name, in date order.
+*/
+const getHolidays = function (year, region) {
+  const key = splitRegion(region).join(',') + '|' + year;
+  if (!cache[key]) {
+    let days = [];
+    for (let part of splitRegion(region)) {
+      if (regions[part]) {
+        days = days.concat(buildRegionYear(regions[part], year));
+      } else if (getCalendars()[part]) {
+        days = days.concat(buildCalendarYear(getCalendars()[part], year));
+      } else {
+        winston.warn('Unknown holiday calendar ' + part + ', ignoring it');
+      }
+    }
+    cache[key] = days.sort(function (a, b) {
+      return a.date < b.date ? -1 : (a.date > b.date ? 1 : 0);
+    });
+  }
+  return cache[key];
+};
+
+exports.getHolidays = getHolidays;
+
+/**
+* @param {!moment} date The day to check, in the channel's timezone.
+* @param {?string} region Comma separated list of calendars, defaults to Auckland.
+* @return {boolean} Whether the day is a holiday (weekends aren't counted).
+*/
+exports.isHoliday = function (date, region) {
+  const formatted = date.format(DATE_FORMAT);
+  // New Year's Day can be observed on the last day of the year before
+  const days = getHolidays(date.year(), region).concat(getHolidays(date.year() + 1, region));
+  return days.some(function (holiday) {
+    return holiday.date === formatted;
+  });
+};
+
+/**
+* @param {!moment} date The day to check, in the channel's timezone.
+* @param {?string} region Comma separated list of calendars, defaults to Auckland.
+* @return {!Array<string>} The names of the day's holidays, if it has any.
+*/
+exports.getHolidaysOn = function (date, region) {
+  const formatted = date.format(DATE_FORMAT);
+  return getHolidays(date.year(), region).concat(getHolidays(date.year() + 1, region)).filter(function (holiday) {
+    return holiday.date === formatted;
+  }).map(function (holiday) {
+    return holiday.name;
+  });
+};
+
+/**
+* @param {string} region Comma separated list of calendars.
+* @return {boolean} Whether every calendar in the region exists.
+*/
+exports.isValidRegion = function (region) {
+  const parts = splitRegion(region);
+  return parts.length > 0 && parts.every(function (part) {
+    return regions[part] !== undefined || getCalendars()[part] !== undefined;
+  });
+};
+
+exports.listRegions = function () {
+  return Object.keys(regions).concat(Object.keys(getCalendars()));
+};
+
+exports.defaultRegion = defaultRegion;
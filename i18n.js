@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+const winston = require('winston');
+
+// Everything Dee says, in every language she knows. Each bundle in locales/ is named after its
+// locale (en.json, es.json, pt-BR.json...) and only needs the strings it translates, anything
+// missing falls back to the less specific locale (pt-BR to pt) and then to English.
+//
+// Strings can have placeholders, like "Submission #{id}", and strings which depend on a number
+// can be split up by plural category ("one", "few", "many", "other"... see Intl.PluralRules),
+// with the number going in {count}.
+//
+// Persona packs (see personas.js) can bring their own strings too, which win over these.
+
+const LOCALES_DIR = path.join(__dirname, 'locales');
+const DEFAULT_LOCALE = 'en';
+
+const bundles = {};
+for (let file of fs.readdirSync(LOCALES_DIR)) {
+  if (path.extname(file) === '.json') {
+    bundles[path.basename(file, '.json')] = JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, file), 'utf8'));
+  }
+}
+
+exports.defaultLocale = DEFAULT_LOCALE;
+
+exports.listLocales = function () {
+  return Object.keys(bundles).sort();
+};
+
+// The locale as its bundle is named (so es-mx finds es-MX), or null if there's no bundle for it
+const findLocale = function (locale) {
+  if (typeof locale !== 'string') {
+    return null;
+  }
+  return Object.keys(bundles).find(function (name) {
+    return name.toLowerCase() === locale.toLowerCase();
+  }) || null;
+};
+
+exports.findLocale = findLocale;
+
+// Where to look for strings, most specific first, e.g. pt-BR, pt, en
+const getFallbacks = function (locale) {
+  const fallbacks = [];
+  const parts = typeof locale === 'string' ? locale.split('-') : [];
+  for (let i = parts.length; i > 0; i--) {
+    const name = findLocale(parts.slice(0, i).join('-'));
+    if (name !== null && !fallbacks.includes(name)) {
+      fallbacks.push(name);
+    }
+  }
+  if (!fallbacks.includes(DEFAULT_LOCALE)) {
+    fallbacks.push(DEFAULT_LOCALE);
+  }
+  return fallbacks;
+};
+
+exports.getFallbacks = getFallbacks;
+
+const placeholders = function (text) {
+  return (text.match(/\{\w+\}/g) || []).sort();
+};
+
+/**
+* Looks for anything wrong with a bundle of strings, like one from a persona pack.
+*
+* @param {!Object} bundle The strings, by key.
+* @return {!Array<string>} What's wrong with them, if anything.
+*/
+exports.checkBundle = function (bundle) {
+  if (bundle === null || typeof bundle !== 'object' || Array.isArray(bundle)) {
+    return ['It should be an object of strings.'];
+  }
+  const problems = [];
+  for (let key of Object.keys(bundle)) {
+    const base = bundles[DEFAULT_LOCALE][key];
+    const value = bundle[key];
+    if (base === undefined) {
+      problems.push(key + ' isn\'t a string Dee uses.');
+    } else if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
+      if (typeof value.other !== 'string' || Object.values(value).some((text) => typeof text !== 'string')) {
+        problems.push(key + ' should have an "other" form, and every form should be a string.');
+      }
+    } else if (typeof value !== 'string') {
+      problems.push(key + ' should be a string.');
+    } else if (typeof base === 'string') {
+      // Placeholders Dee doesn't fill in would be shown as they are
+      const allowed = placeholders(base).concat('{persona}');
+      if (placeholders(value).some((placeholder) => !allowed.includes(placeholder))) {
+        problems.push(key + ' can only use ' + allowed.join(', ') + '.');
+      }
+    }
+  }
+  return problems;
+};
+
+const interpolate = function (text, params) {
+  return text.replace(/\{(\w+)\}/g, function (placeholder, name) {
+    return params[name] === undefined ? placeholder : String(params[name]);
+  });
+};
+
+/**
+* Makes a function which looks up strings for a locale.
+*
+* @param {?string} locale The locale, or null for the default.
+* @param {?Object=} persona The persona pack speaking, if not plain Dee. Its strings (by locale)
+*   come before the bundled ones in the same locale, and its name fills in {persona}.
+* @return {function(string, Object=): string} Takes the string's key and the values for its
+*   placeholders (with count picking the plural form), and returns the string. It also has the
+*   locale it ended up using, and a variants function which returns the key's string in this
+*   locale and the default one, for matching what people type.
+*/
+exports.translator = function (locale, persona = null) {
+  const fallbacks = getFallbacks(locale);
+  const plurals = new Intl.PluralRules(fallbacks[0]);
+  const personaStrings = persona ? persona.strings : {};
+
+  const lookup = function (key) {
+    for (let name of fallbacks) {
+      for (let bundle of [personaStrings[name], bundles[name]]) {
+        if (bundle !== undefined && bundle[key] !== undefined) {
+          return bundle[key];
+        }
+      }
+    }
+    return undefined;
+  };
+
+  const tr = function (key, params = {}) {
+    params = Object.assign({persona: persona ? persona.name : 'Dee'}, params);
+    let text = lookup(key);
+    if (text === undefined) {
+      winston.warn('No string for ' + key + ' in ' + fallbacks.join(', '));
+      return key;
+    }
+    if (typeof text === 'object') {
+      text = text[plurals.select(params.count)] || text.other;
+    }
+    return interpolate(text, params);
+  };
+
+  tr.locale = fallbacks[0];
+  tr.variants = function (key) {
+    const variants = [tr(key)];
+    const fallback = bundles[DEFAULT_LOCALE][key];
+    if (typeof fallback === 'string' && !variants.includes(fallback)) {
+      variants.push(fallback);
+    }
+    return variants;
+  };
+  return tr;
+};
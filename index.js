@@ -4,29 +4,35 @@ const winston = require('winston');
 const moment = require('moment-timezone');
 const express = require('express');
 const app = express();
-const tr = require('./translations.json');
-const activities = require('./activities.json');
+const i18n = require('./i18n.js');
+const personas = require('./personas.js');
 const pers = require('./mfwbotcrashes.js');
-const Discord = require('discord.js');
-const bot = new Discord.Client({autoReconnect: true});
+const holidays = require('./holidays.js');
+const api = require('./api.js');
+const backups = require('./backups.js');
+const similarity = require('./similarity.js');
+const transports = require('./transport.js');
+const cronTime = require('cron').time;
+const bot = transports.create(process.env.TRANSPORT);
 
 const MAX_MESSAGE_LENGTH = 1800;
-const CRON_TIMING = '0 10,15 * * *';
-const TIMEZONE = 'Pacific/Auckland';
-const HOLIDAY_API = [ // xD
-  '25-12-2020', '26-12-2020', '28-12-2020',
-  '01-01-2021', '02-01-2021', '04-01-2021',
-  '01-02-2021',
-  '06-02-2021', '08-02-2021',
-  '02-04-2021', '05-04-2021',
-  '25-04-2021', '26-04-2021',
-  '07-06-2021',
-  '25-10-2021',
-  '25-12-2021', '26-12-2021', '27-12-2021', '28-12-2021',
-];
+const APPROVE_EMOJI = '\u2705';
+const REJECT_EMOJI = '\u274C';
+const LEADERBOARD_SIZE = 5;
+const UPCOMING_SIZE = 3;
+const LIST_SIZE = 10;
+const SHORT_QUESTION_LENGTH = 100;
+const MAX_REACT_COUNT = 50;
+const ARCHIVE_TOP_SIZE = 5;
+const RECAP_TOP_SIZE = 3;
+const MAX_TAGS = 5;
+const TAG_PATTERN = /^[a-z0-9-]{1,20}$/;
+const WEEK = 7 * 24 * 60 * 60 * 1000;
+const MISSED_RUN_LEEWAY = 1000;
 
+// Every database query is logged at debug, set LOG_LEVEL=debug to see them
 winston.configure({
-  level: 'info',
+  level: process.env.LOG_LEVEL || 'info',
   transports: [
     new winston.transports.Console(),
     new winston.transports.File({ filename: 'combined.log' })
@@ -37,7 +43,7 @@ winston.configure({
   ]
 });
 
-bot.login(process.env.TOKEN).catch(function (msg) {
+bot.login().catch(function (msg) {
   winston.error(msg);
 });
 
@@ -46,35 +52,174 @@ pers.init(function (err) {
     winston.error(err);
     process.exit(1);
   }
-  const channelsCron = pers.getAllChannels();
-  for (let channel in channelsCron) {
-    const oldJob = new CronJob({
-      cronTime: CRON_TIMING,
+  // What Dee says in a channel is in its language and persona, and in DMs in the user's language (if they picked one)
+  function channelTr (channelId) {
+    return i18n.translator(pers.getLocale(channelId), personas.getPersona(pers.getPersona(channelId)));
+  }
+
+  function userTr (userId) {
+    return i18n.translator(pers.getUserLocale(userId));
+  }
+
+  // One job per channel, so a channel's schedule can be swapped out without a restart
+  const channelJobs = {};
+
+  function scheduleChannel (channelId) {
+    const schedule = pers.getSchedule(channelId);
+    unscheduleChannel(channelId);
+    if (pers.getPaused(channelId)) {
+      winston.info('Channel ' + channelId + ' is paused, not scheduling it');
+      return;
+    }
+    if (pers.getLastScheduledRun(channelId) === null) {
+      // Nothing to catch up on from before Dee started keeping track
+      pers.setLastScheduledRun(channelId, Date.now());
+    }
+    const job = new CronJob({
+      cronTime: schedule.cronTiming,
       onTick: function () {
-        postNewMessage(bot.channels.get(channelsCron[channel]), true);
+        // Saved first, so a restart part way through the post can't post it again
+        pers.setLastScheduledRun(channelId, Date.now());
+        postNewMessage(bot.getChannel(channelId), true);
       },
       start: false,
-      timeZone: TIMEZONE
+      timeZone: schedule.timezone
     });
-    oldJob.start();
-    winston.info('CronJob created for old channel ' + channelsCron[channel]);
+    job.start();
+    channelJobs[channelId] = job;
+    winston.info('CronJob scheduled for channel ' + channelId + ' at ' + schedule.cronTiming + ' (' + schedule.timezone + ')');
   }
 
-  bot.on('ready', function (event) {
-    winston.info('Logged in as %s - %s\n', bot.user.username, bot.user.id);
+  function unscheduleChannel (channelId) {
+    if (channelJobs[channelId]) {
+      channelJobs[channelId].stop();
+      delete channelJobs[channelId];
+    }
+  }
+
+  // The first run the channel's schedule missed since it last went off (ms), or null if it's up to date
+  function getMissedRun (channelId) {
+    const schedule = pers.getSchedule(channelId);
+    const lastRun = pers.getLastScheduledRun(channelId);
+    if (lastRun === null) {
+      return null;
+    }
+    // CronTime's sendAt only counts from now, so ask for the next time after the last run directly.
+    // _getNextDateFrom isn't public, which is why package.json pins cron to the exact version it was checked against.
+    // Timers can go off a touch early, so the run that was saved can't count as the next one.
+    const after = new Date(lastRun + MISSED_RUN_LEEWAY);
+    const nextRun = cronTime(schedule.cronTiming, schedule.timezone)._getNextDateFrom(after, schedule.timezone).valueOf();
+    return nextRun <= Date.now() ? nextRun : null;
+  }
+
+  // If Dee was down when a channel's question or break was due, do it now. Only once, however many
+  // runs were missed, since postNewMessage works out from today whether to post or go on a break.
+  function catchUpMissedRuns () {
+    for (let channelId of pers.getAllChannels()) {
+      const missedRun = getMissedRun(channelId);
+      const channel = bot.getChannel(channelId);
+      if (missedRun === null || channel === undefined || pers.getPaused(channelId)) {
+        continue;
+      }
+      winston.info('Catching up on the run missed at ' + new Date(missedRun).toISOString() + ' for channel ' + channelId);
+      pers.setLastScheduledRun(channelId, Date.now());
+      postNewMessage(channel, true);
+    }
+  }
+
+  const channelsCron = pers.getAllChannels();
+  for (let channel in channelsCron) {
+    scheduleChannel(channelsCron[channel]);
+  }
+
+  const backupJob = new CronJob({
+    cronTime: process.env.BACKUP_SCHEDULE || backups.defaultSchedule,
+    onTick: function () {
+      pers.backup('scheduled', function (err) {
+        if (err) {
+          winston.error(err);
+        }
+      });
+    },
+    start: false,
+    timeZone: process.env.BACKUP_TIMEZONE
+  });
+  backupJob.start();
+
+  personas.watch();
+
+  app.use('/api', api.createRouter(process.env.API_TOKEN, {
+    postNewMessage: function (channelId) {
+      const channel = bot.getChannel(channelId);
+      if (channel === undefined) {
+        return false;
+      }
+      postNewMessage(channel, false);
+      return true;
+    },
+    describeChannel: function (channelId) {
+      const channel = bot.getChannel(channelId);
+      return channel === undefined ? null : {name: channel.name, guild: channel.server ? channel.server.name : null};
+    },
+    getTodaysQuestion: function (channelId) {
+      const channel = bot.getChannel(channelId);
+      const messageId = pers.getQuestionMessageId(channelId);
+      if (channel === undefined || messageId === null) {
+        return Promise.resolve(null);
+      }
+      return channel.fetchMessage(messageId).then(function (message) {
+        return new Promise(function (resolve) {
+          pers.getChannelInfo(channelId, true, function (channelInfo) {
+            const posted = pers.getPostedQuestionByMessageId(messageId);
+            const votes = countVotes(message, channelInfo);
+            resolve({
+              messageId: messageId,
+              question: posted ? posted.question : message.content,
+              postedAt: posted ? posted.postedAt : message.createdTimestamp,
+              asked: !!pers.getAsked(channelId),
+              up: votes.up,
+              down: votes.down
+            });
+          });
+        });
+      }, function (err) {
+        // Someone deleted the question, so there's nothing to show until the next one
+        winston.warn(`Couldn't fetch today's question in ${channelId}: ${err.message}`);
+        return null;
+      });
+    },
+    resolveSubmission: resolveSubmission,
+    addCategory: addCategory,
+    removeCategory: removeCategory,
+    updateChannelSettings: updateChannelSettings,
+    checkQuestionDetails: checkQuestionDetails
+  }));
+
+  bot.on('ready', function () {
+    winston.info('Logged in as %s - %s\n', bot.user.name, bot.user.id);
     handleCurrentVersion();
+    catchUpMissedRuns();
   });
 
-  bot.on('messageReactionAdd', function (messageReaction) {
+  bot.on('reactionAdd', function (messageReaction, user) {
+    handleModerationReaction(messageReaction, user);
     handleReaction(messageReaction);
   });
 
-  bot.on('messageReactionRemove', function (messageReaction) {
+  bot.on('reactionRemove', function (messageReaction) {
     handleReaction(messageReaction);
   });
 
+  bot.on('messageUpdate', function (channelId, messageId, content) {
+    pers.editDiscussionMessage(channelId, messageId, content);
+  });
+
+  bot.on('messageDelete', function (channelId, messageId) {
+    pers.deleteDiscussionMessage(channelId, messageId);
+  });
+
   function handleCurrentVersion (newChannelId) {
-    fs.readFile('README.md', 'utf8', function (err, data) {
+    fs.readFile(__dirname + '/README.md', 'utf8', function (err, data) {
       if (err) throw err;
       const channels = pers.getAllChannels();
       const releaseNoteRegx = /(__\*\*(.*)\*\*__[^_]*)__\*\*/g;
@@ -84,14 +229,22 @@ pers.init(function (err) {
       if (newChannelId) {
         pers.setVersionText(newChannelId, releaseNote);
       } else {
-        // Backup the db
-        fs.createReadStream('./dmcdata.json').pipe(fs.createWriteStream('./' + 'backup_' + version.replace(/ /g, '_') + '.json'));
-        // "Upgrade" all channels
+        // Keep a copy of the db from when each version first ran
+        const isNewVersion = channels.some(function (channelId) {
+          return pers.getVersionText(channelId) !== releaseNote;
+        });
+        if (isNewVersion) {
+          pers.backup(version, function (err) {
+            if (err) {
+              winston.error(err);
+            }
+          });
+        }
+        // Tell every channel about the new version. The database itself was migrated in pers.init
         for (let channel in channels) {
           if (pers.getVersionText(channels[channel]) !== releaseNote) {
             pers.setVersionText(channels[channel], releaseNote);
-            pers.performDataUpgrade(channels[channel], version);
-            bot.channels.get(channels[channel]).send(tr.whatHappened + releaseNote);
+            bot.getChannel(channels[channel]).send(channelTr(channels[channel])('whatHappened', {notes: releaseNote}));
           } else {
             winston.info('Version matches, skipping!');
           }
@@ -100,6 +253,51 @@ pers.init(function (err) {
     });
   }
 
+  function handleModerationReaction (messageReaction, user) {
+    const message = messageReaction.message;
+    const emoji = messageReaction.emoji;
+    if (user.isBot || message.author.id !== bot.user.id || (emoji !== APPROVE_EMOJI && emoji !== REJECT_EMOJI)) {
+      return;
+    }
+    const submission = pers.getPendingQuestionByMessageId(message.id);
+    if (!submission || submission.status !== 'pending') {
+      return;
+    }
+    bot.isAdmin(message.channel, user).then(function (isAdmin) {
+      if (isAdmin) {
+        resolveSubmission(submission.submissionId, emoji === APPROVE_EMOJI);
+      }
+    }).catch(winston.error);
+  }
+
+  // The vote emoji are saved URL encoded, as discord.js used to give them
+  function voteEmoji (channelInfo) {
+    return {up: decodeURIComponent(channelInfo.upvoteId), down: decodeURIComponent(channelInfo.downvoteId)};
+  }
+
+  // Dee's own reacts (there to save clicks) aren't counted
+  function countVotes (message, channelInfo) {
+    const emoji = voteEmoji(channelInfo);
+    return message.reactions.reduce(function (votes, curr) {
+      const count = curr.me ? curr.count - 1 : curr.count;
+      if (curr.emoji === emoji.up) {
+        votes.up += count;
+      } else if (curr.emoji === emoji.down) {
+        votes.down += count;
+      }
+      return votes;
+    }, {up: 0, down: 0});
+  }
+
+  // Saves how a question did before it's replaced. Skipped means it went before its time was up.
+  function saveVotes (message, channelInfo, skipped) {
+    const posted = pers.getPostedQuestionByMessageId(message.id);
+    if (posted) {
+      const votes = countVotes(message, channelInfo);
+      pers.addQuestionVotes(posted, votes.up, votes.down, skipped);
+    }
+  }
+
   function handleReaction (messageReaction) {
     const message = messageReaction.message;
     const channelId = message.channel.id;
@@ -107,87 +305,311 @@ pers.init(function (err) {
       // channelInfo = channelInfo.map(v => unescape(v) if typeof(v) === 'string');
       if (channelInfo !== null) {
         if (message.author.id === bot.user.id && pers.getQuestionMessageId(channelId) === message.id) {
-          let diff = message.reactions.reduce(function (val, curr) {
-            if (curr.emoji.identifier === channelInfo.upvoteId) {
-              val -= curr.count;
-            } else if (curr.emoji.identifier === channelInfo.downvoteId) {
-              val += curr.count;
-            }
-            return val;
-          }, 0);
+          const votes = countVotes(message, channelInfo);
+          let diff = votes.down - votes.up;
           // Flip votes if asking to cycle
           diff = pers.getAsked(channelId) ? diff * -1 : diff;
           if (diff === channelInfo.reactCount) {
             postNewMessage(message.channel, false);
           }
+        } else if (message.author.id !== bot.user.id) {
+          // Replies people liked make the archive's highlights
+          pers.setDiscussionReactions(message.id, message.reactions.reduce(function (total, reaction) {
+            return total + reaction.count;
+          }, 0));
         }
       }
     });
   }
 
+  // Anything said in a channel while its question is up is part of that question's discussion
+  function recordDiscussion (message) {
+    const channelId = message.channel.id;
+    const messageId = pers.getAllChannels().includes(channelId) ? pers.getQuestionMessageId(channelId) : null;
+    const posted = messageId === null ? null : pers.getPostedQuestionByMessageId(messageId);
+    if (posted) {
+      pers.addDiscussionMessage(posted, message);
+    }
+  }
+
+  // Users we've asked to pick a channel, and what to do once they have
+  const waitingForChannel = {};
+
+  // Every Dee channel in a server the user is also in
+  function getSharedChannels (user) {
+    const channels = pers.getAllChannels().map(function (channelId) {
+      return bot.getChannel(channelId);
+    }).filter(function (channel) {
+      return channel !== undefined && channel.server !== null;
+    });
+    return Promise.all(channels.map(function (channel) {
+      return bot.isMember(channel, user).then(function (isMember) {
+        return isMember ? channel : null;
+      });
+    })).then(function (shared) {
+      return shared.filter(function (channel) {
+        return channel !== null;
+      });
+    });
+  }
+
+  // Calls send straight away if there's only one channel, otherwise asks the user which one they meant
+  function pickChannel (message, channels, send) {
+    const tr = userTr(message.author.id);
+    if (channels.length === 0) {
+      message.channel.send(tr('noSharedChannel'));
+    } else if (channels.length === 1) {
+      send(channels[0]);
+    } else {
+      const choices = channels.map(function (channel, i) {
+        return (i + 1) + '. #' + channel.name + ' (' + channel.server.name + ')';
+      });
+      waitingForChannel[message.author.id] = {channels: channels, send: send};
+      message.channel.send(tr('whichChannel') + '\n' + choices.join('\n'));
+    }
+  }
+
+  // Options for answer are an optional channel name, then an optional day and category
+  function parseAnswerOptions (options) {
+    const answerTo = {channelName: null, day: null, category: null};
+    for (let option of options) {
+      const lowerOption = option.toLowerCase();
+      if (lowerOption === 'today' || lowerOption === 'yesterday' || /^\d{4}-\d{2}-\d{2}$/.test(lowerOption)) {
+        answerTo.day = lowerOption;
+      } else if (isCategoryCommand(lowerOption)) {
+        answerTo.category = lowerOption;
+      } else {
+        answerTo.channelName = lowerOption.replace(/^#/, '');
+      }
+    }
+    return answerTo;
+  }
+
+  function sendAnon (message, channel, text, answerTo) {
+    // Replies to the user are in their language, posts in the channel's
+    const tr = userTr(message.author.id);
+    const trChannel = channelTr(channel.id);
+    if (answerTo.day === null) {
+      channel.send(trChannel('aS', {text: text}));
+      // Hope it's not anything lewd >:(
+      message.channel.send(tr('secret'));
+      return;
+    }
+
+    const today = moment().tz(pers.getSchedule(channel.id).timezone);
+    let day = answerTo.day;
+    if (day === 'today') {
+      day = today.format('YYYY-MM-DD');
+    } else if (day === 'yesterday') {
+      day = today.subtract(1, 'days').format('YYYY-MM-DD');
+    }
+    const category = answerTo.category === null ? null : pers.findCategory(channel.id, answerTo.category);
+    const posted = pers.getPostedQuestionsOn(channel.id, day).filter(function (posted) {
+      return answerTo.category === null || (category !== null && posted.category === category.name);
+    });
+    if (posted.length === 0) {
+      message.channel.send(tr('noQuestionThatDay'));
+      return;
+    }
+
+    // Answer the latest one from that day if they didn't say which
+    const question = posted[posted.length - 1];
+    const link = bot.messageLink(channel, question.messageId);
+    channel.send(trChannel('aSReply', {link: link}) + '\n> ' + question.question.replace(/\n/g, '\n> ') + '\n' + trChannel('aS', {text: text}));
+    message.channel.send(tr('secret'));
+  }
+
+  function shorten (question) {
+    const oneLine = question.replace(/\s+/g, ' ');
+    return oneLine.length > SHORT_QUESTION_LENGTH ? oneLine.substring(0, SHORT_QUESTION_LENGTH - 1) + '…' : oneLine;
+  }
+
+  function channelName (channelId) {
+    const channel = bot.getChannel(channelId);
+    return '#' + (channel ? channel.name : channelId);
+  }
+
+  // The first few lines of a list, and how many more there were
+  function listSome (tr, lines) {
+    return lines.slice(0, LIST_SIZE).join('\n') + (lines.length > LIST_SIZE ? '\n' + tr('andMore', {count: lines.length - LIST_SIZE}) : '');
+  }
+
+  // The user's questions which haven't been posted yet, whether they're queued or with the mods
+  function sendOwnQuestions (message) {
+    const tr = userTr(message.author.id);
+    const questions = pers.getQuestionsByAuthor(message.author.id);
+    const queued = questions.filter((question) => !question.posted);
+    const pending = pers.getPendingQuestionsByAuthor(message.author.id);
+    const posted = questions.length - queued.length;
+    const parts = [];
+    if (queued.length !== 0) {
+      parts.push(tr('mineQueued') + '\n' + listSome(tr, queued.map(function (question) {
+        return tr('mineQueuedItem', {id: question.questionId, category: question.category.toUpperCase(), channel: channelName(question.channel), place: question.place, question: shorten(question.question)});
+      })));
+    }
+    if (pending.length !== 0) {
+      parts.push(tr('mineReview') + '\n' + listSome(tr, pending.map(function (submission) {
+        return tr('mineReviewItem', {category: submission.category.toUpperCase(), channel: channelName(submission.channel), question: shorten(submission.question)});
+      })));
+    }
+    if (posted !== 0) {
+      parts.push(tr('minePosted', {count: posted}));
+    }
+    message.channel.send(parts.length === 0 ? tr('mineNone') : parts.join('\n\n'));
+  }
+
+  // How the user's posted questions were voted on, newest first
+  function sendOwnHistory (message) {
+    const tr = userTr(message.author.id);
+    const posted = pers.getQuestionsByAuthor(message.author.id).filter(function (question) {
+      return question.posted;
+    }).sort(function (a, b) {
+      return b.postedAt - a.postedAt;
+    });
+    if (posted.length === 0) {
+      message.channel.send(tr('historyNone'));
+      return;
+    }
+    message.channel.send(tr('historyHeader') + '\n' + listSome(tr, posted.map(function (question) {
+      const params = {channel: channelName(question.channel), question: shorten(question.question)};
+      if (question.votes !== null) {
+        return tr(question.votes.skipped ? 'historySkipped' : 'historyItem', Object.assign(params, {up: question.votes.up, down: question.votes.down}));
+      }
+      // Votes are tallied once the next question replaces it
+      const isUp = question.messageId !== null && pers.getAllChannels().includes(question.channel) && pers.getQuestionMessageId(question.channel) === question.messageId;
+      return tr(isUp ? 'historyLive' : 'historyUncounted', params);
+    })));
+  }
+
+  // Number is the question's id, as mine shows it
+  function findOwnQuestion (userId, number) {
+    const questionId = /^#?\d+$/.test(number) ? parseInt(number.replace(/^#/, '')) : null;
+    return pers.getQuestionsByAuthor(userId).find(function (question) {
+      return question.questionId === questionId && !question.posted;
+    }) || null;
+  }
+
+  function editOwnQuestion (message, options, text) {
+    const tr = userTr(message.author.id);
+    const question = options.length === 1 ? findOwnQuestion(message.author.id, options[0]) : null;
+    if (question === null) {
+      message.channel.send(tr('notYourQuestion'));
+      return;
+    }
+    const modChannelId = pers.getModChannel(question.channel);
+    if (modChannelId && bot.getChannel(modChannelId)) {
+      // The mods only checked the old version, so the new one goes back to them
+      pers.withdrawQuestion(message.author.id, question.questionId);
+      submitForReview(question.channel, text, message.author.id, question.category, null);
+      message.channel.send(tr('editReview'));
+    } else {
+      pers.editOwnQuestion(message.author.id, question.questionId, text);
+      message.channel.send(tr('questionEdited', {id: question.questionId}));
+    }
+  }
+
+  function withdrawOwnQuestion (message, number) {
+    const tr = userTr(message.author.id);
+    const question = findOwnQuestion(message.author.id, number);
+    if (question === null || !pers.withdrawQuestion(message.author.id, question.questionId)) {
+      message.channel.send(tr('notYourQuestion'));
+      return;
+    }
+    message.channel.send(tr('questionWithdrawn', {id: question.questionId}));
+  }
+
+  // Every category's name and aliases work as DM commands, on top of these
+  const paramCommands = {
+    answer: ['a', 'ans', 'answer', 'anon'],
+    edit: ['edit']
+  };
+
+  const nonParamCommands = {
+    help: ['h', 'help'],
+    mine: ['mine'],
+    history: ['history']
+  };
+
+  // These take one word, without quotes
+  const wordCommands = {
+    language: ['language', 'lang'],
+    withdraw: ['withdraw']
+  };
+
+  // Strings for each command's help, and for the categories every channel starts with (any others get categoryHelp)
+  const commandHelpKeys = {
+    help: 'helpHelp',
+    answer: 'helpAnswer',
+    edit: 'helpEdit',
+    mine: 'helpMine',
+    history: 'helpHistory',
+    language: 'helpLanguage',
+    withdraw: 'helpWithdraw'
+  };
+
+  const defaultCategoryHelpKeys = {
+    dmc: 'helpDmc',
+    spd: 'helpSpd'
+  };
+
+  function isCategoryCommand (command) {
+    return pers.getAllCategories().some(function (category) {
+      return category.name === command || category.aliases.includes(command);
+    });
+  }
+
   function handleDirectMessage (message) {
     let msgContent = message.content;
+    const tr = userTr(message.author.id);
 
     if (msgContent.length > MAX_MESSAGE_LENGTH) {
       // Don't even read it, shoot back with a response and skip
-      const shortenBy = msgContent.length - MAX_MESSAGE_LENGTH;
-      const chars = ' character' + (shortenBy === 1 ? '' : 's');
-      message.channel.send(tr.tooLong + (msgContent.length - MAX_MESSAGE_LENGTH) + chars + tr.tooLong2);
+      message.channel.send(tr('tooLong', {count: msgContent.length - MAX_MESSAGE_LENGTH}));
       return;
     }
 
-    const paramCommands = {
-      answer: ['a', 'ans', 'answer', 'anon'],
-      dmc: ['d', 'dmc'],
-      spd: ['s', 'spd']
-    };
-
-    const paramCommandsDetails = {
-      answer: {
-        description: 'If you\'re feeling a bit shy, if you send it to me, I can post it on your behalf.',
-        usage: 'answer "Hey! I think you\'re really cool!"'
-      },
-      dmc: {
-        description: 'If you\'ve got something deep and meaningful you\'d like to ask, send it to me like this, and I\'ll post it! (eventually! :P)',
-        usage: 'dmc "Would you go back and redo everything, if you could?"'
-      },
-      spd: {
-        description: 'If you\'ve got something a bit more lighthearted to discuss, that\'s okies too! ^^ I will post that one morning as well.',
-        usage: 'spd "How many holes does a straw have, one or two?"'
-      }
-    };
-
-    const nonParamCommands = {
-      help: ['h', 'help']
-    };
+    function describeCommand (names, description, usage) {
+      return '\n**' + names.join(', ') + '** - ' + description + tr('helpExample') + '`' + usage + '`\n';
+    }
 
-    const nonParamCommandsDetails = {
-      help: {
-        description: 'If you ever feel a bit stuck, or forget something (don\'t worry, happens to me too... more than I\'d like... >.>\'), send this to get this message again.',
-        usage: '--help'
+    function describeCommands (commands) {
+      let text = '';
+      for (let commandId in commands) {
+        const key = commandHelpKeys[commandId];
+        text += describeCommand(commands[commandId], tr(key), tr(key + 'Usage'));
       }
-    };
+      return text;
+    }
 
     function generateHelpText () {
       let helpText = '';
-      helpText += tr.helpText1;
-      helpText += '\n-----\n' + tr.helpText2;
+      helpText += tr('helpText1');
+      helpText += '\n-----\n' + tr('helpText2');
+      helpText += describeCommands(nonParamCommands);
 
-      for (let ncommandId in nonParamCommands) {
-        const ncommand = nonParamCommands[ncommandId];
-        const ncommandDetails = nonParamCommandsDetails[ncommandId];
-        helpText += '\n**' + ncommand.join(', ') + '** - ' + ncommandDetails.description + ' *For example:* `' + ncommandDetails.usage + '`\n';
-      }
+      helpText += '\n-----\n' + tr('helpTextWords');
+      helpText += describeCommands(wordCommands);
 
-      helpText += '\n-----\n' + tr.helpText3;
+      helpText += '\n-----\n' + tr('helpText3');
+      helpText += describeCommands(paramCommands);
 
-      for (let commandId in paramCommands) {
-        const command = paramCommands[commandId];
-        const commandDetails = paramCommandsDetails[commandId];
-        helpText += '\n**' + command.join(', ') + '** - ' + commandDetails.description + ' *For example:* `' + commandDetails.usage + '`\n';
+      // Channels can have their own categories, so list each name once
+      const described = [];
+      for (let category of pers.getAllCategories()) {
+        if (described.includes(category.name)) {
+          continue;
+        }
+        described.push(category.name);
+        const key = defaultCategoryHelpKeys[category.name];
+        const names = category.aliases.concat(category.name);
+        if (key) {
+          helpText += describeCommand(names, tr(key), tr(key + 'Usage'));
+        } else {
+          helpText += describeCommand(names, tr('categoryHelp', {label: category.label}), category.name + ' "' + tr('categoryUsage') + '"');
+        }
       }
 
-      helpText += '\n-----\n' + tr.helpText4;
+      helpText += '\n-----\n' + tr('helpText4');
 
       return helpText;
     }
@@ -212,17 +634,33 @@ pers.init(function (err) {
     if (params === null) {
       // Something has gone terribly wrong. Return a message to the user, and log the error.
       winston.error('Failed to parse message with content ' + msgContent);
-      message.channel.send(tr.uhOh);
+      message.channel.send(tr('uhOh'));
       return;
     }
 
     const modifierParam = params[1].toLowerCase();
     const mainParam = params[2];
 
+    // Anything in front of the quotes narrows down where the command goes
+    const quotedReg = /^([^"]*?)\s*"([\s\S]+)"$/;
+    const quoted = quotedReg.exec(mainParam);
+
     // Ready to rumble! Grab the current user, start parsing input.
 
     pers.getUserInfo(message.author.id, function (userInfo, wasThere) {
-      const channels = pers.getAllChannels();
+      // Were we waiting on them to pick a channel?
+      const waiting = waitingForChannel[message.author.id];
+      delete waitingForChannel[message.author.id];
+      if (waiting && /^\d+$/.test(msgContent.trim())) {
+        const picked = waiting.channels[parseInt(msgContent.trim()) - 1];
+        if (picked) {
+          waiting.send(picked);
+        } else {
+          message.channel.send(tr('badPick'));
+          waitingForChannel[message.author.id] = waiting;
+        }
+        return;
+      }
 
       // Check if second param is empty, if so, run non-param checkLoops
       if (mainParam === '') {
@@ -231,45 +669,129 @@ pers.init(function (err) {
           message.channel.send(generateHelpText());
           return;
         }
-      } else if (mainParam.length > 2 && mainParam[0] === '"' && mainParam[mainParam.length - 1] === '"') {
+        if (nonParamCommands.mine.includes(modifierParam)) {
+          sendOwnQuestions(message);
+          return;
+        }
+        if (nonParamCommands.history.includes(modifierParam)) {
+          sendOwnHistory(message);
+          return;
+        }
+        if (wordCommands.language.includes(modifierParam)) {
+          const locales = '`' + i18n.listLocales().join('`, `') + '`';
+          const locale = pers.getUserLocale(message.author.id);
+          message.channel.send(locale ? tr('yourLanguage', {locale: locale, locales: locales}) : tr('yourLanguageDefault', {locales: locales}));
+          return;
+        }
+      } else if (quoted === null && wordCommands.language.includes(modifierParam)) {
+        // Handle language
+        const word = mainParam.trim();
+        const locale = word.toLowerCase() === 'default' ? null : i18n.findLocale(word);
+        if (locale === null && word.toLowerCase() !== 'default') {
+          message.channel.send(tr('badLanguage', {locales: '`' + i18n.listLocales().join('`, `') + '`'}));
+          return;
+        }
+        pers.setUserLocale(message.author.id, locale);
+        const newTr = userTr(message.author.id);
+        message.channel.send(newTr('newLanguage', {locale: newTr.locale}));
+        return;
+      } else if (quoted === null && wordCommands.withdraw.includes(modifierParam)) {
+        withdrawOwnQuestion(message, mainParam.trim());
+        return;
+      } else if (quoted !== null) {
+        const options = quoted[1].split(/\s+/).filter(function (option) {
+          return option !== '';
+        });
+        const text = quoted[2];
+
         if (paramCommands.answer.includes(modifierParam)) {
           // Handle answer
 
-          // Send through to all listening channels as anon. Should take a channel param in future,
-          // once we decide how that will work generally for all denko-co apps.
+          // Only send it to a channel they're actually in, so anon posts don't leak between servers
+          const answerTo = parseAnswerOptions(options);
+          getSharedChannels(message.author).then(function (shared) {
+            if (answerTo.channelName !== null) {
+              shared = shared.filter(function (channel) {
+                return channel.name.toLowerCase() === answerTo.channelName;
+              });
+            }
+            pickChannel(message, shared, function (channel) {
+              sendAnon(message, channel, text, answerTo);
+            });
+          }).catch(function (err) {
+            winston.error(err);
+            message.channel.send(tr('uhOh'));
+          });
+          return;
+        } else if (paramCommands.edit.includes(modifierParam)) {
+          editOwnQuestion(message, options, text);
+          return;
+        } else if (options.length <= 1 && isCategoryCommand(modifierParam)) {
+          // Handle questions
 
-          for (let toSendAnon in channels) {
-            bot.channels.get(channels[toSendAnon]).send(tr.aS + mainParam.slice(1, -1));
-          }
+          // Questions only go to the servers they're in, or just the one channel if they named it
+          const channelName = options.length === 1 ? options[0].toLowerCase().replace(/^#/, '') : null;
+          getSharedChannels(message.author).then(function (shared) {
+            if (channelName !== null) {
+              shared = shared.filter(function (channel) {
+                return channel.name.toLowerCase() === channelName;
+              }).slice(0, 1);
+            }
+            if (shared.length === 0) {
+              message.channel.send(tr('noSharedChannel'));
+              return;
+            }
+            // And only the ones which ask that kind of question
+            const categories = {};
+            shared = shared.filter(function (channel) {
+              categories[channel.id] = pers.findCategory(channel.id, modifierParam);
+              return categories[channel.id] !== null;
+            });
+            if (shared.length === 0) {
+              message.channel.send(tr('noSuchCategory'));
+              return;
+            }
 
-          // Hope it's not anything lewd >:(
-          message.channel.send(tr.secret);
-          return;
-        } else if (paramCommands.dmc.includes(modifierParam) || paramCommands.spd.includes(modifierParam)) {
-          // Handle DMC/SPD
+            let needsReview = false;
+            const saved = [];
+            const collisions = [];
+            for (let channel of shared) {
+              const category = categories[channel.id].name;
+              // Don't let the same question in twice, and point out ones that are awfully close
+              const match = pers.findSimilarQuestion(channel.id, text);
+              if (match !== null) {
+                collisions.push(tr(similarity.isDuplicate(match) ? 'questDupe' : 'questSimilar', {channel: channel.name}) +
+                  tr(match.posted ? 'questAsked' : 'questQueued') + '\n> ' + match.question.replace(/\n/g, '\n> '));
+              }
+              if (similarity.isDuplicate(match)) {
+                continue;
+              }
 
-          const shallow = modifierParam[0] === 's';
-          for (let channel in channels) {
-            pers.addQuestion(channels[channel], mainParam.slice(1, -1), message.author.id, shallow, function () {});
-          }
+              const modChannelId = pers.getModChannel(channel.id);
+              if (modChannelId && bot.getChannel(modChannelId)) {
+                submitForReview(channel.id, text, message.author.id, category, match);
+                needsReview = true;
+              } else {
+                pers.addQuestion(channel.id, text, message.author.id, category, function () {});
+                // Handle cases where it's going to cause a prompt
+                promptNewQuestion(channel.id, category);
+              }
+              saved.push('#' + channel.name);
+            }
 
-          // Respond to user appropriately
-          message.channel.send(tr.questRec + (shallow ? 'SPD' : 'DMC') + tr.questRec2);
-
-          // Handle cases where it's going to cause a prompt
-          for (let toCheck in channels) {
-            if (!pers.hasDailyQuestion(channels[toCheck]) && pers.getIsShallow(channels[toCheck]) === shallow && pers.getOnBreak(channels[toCheck]) === null) {
-              bot.channels.get(channels[channel]).send(tr.aNewQ).then(function (message) {
-                pers.getChannelInfo(channels[channel], true, function (channelInfo) {
-                  message.react(channelInfo.upvoteId).then(function (reactionAdded) {
-                    message.react(channelInfo.downvoteId);
-                  });
-                  pers.setQuestionMessageId(message.channel.id, message.id, function () {});
-                  pers.setAsked(channels[channel], true);
-                });
-              });
+            // Respond to user appropriately
+            let response = '';
+            if (saved.length !== 0) {
+              response += tr('questRec', {category: categories[shared[0].id].name.toUpperCase()}) + tr('questFor', {channels: saved.join(', ')}) + (needsReview ? tr('questReview') : '');
             }
-          }
+            if (collisions.length !== 0) {
+              response += (response === '' ? '' : '\n\n') + collisions.join('\n');
+            }
+            message.channel.send(response);
+          }).catch(function (err) {
+            winston.error(err);
+            message.channel.send(tr('uhOh'));
+          });
 
           // All done!
           return;
@@ -286,54 +808,700 @@ pers.init(function (err) {
       if (!wasThere) {
         message.channel.send(generateHelpText());
       } else if (validOld) {
-        message.channel.send(tr.oldFormat);
+        message.channel.send(tr('oldFormat'));
       } else if (!userInfo.knowsSecret) {
-        message.channel.send(tr.sadbois).then(function () {
+        message.channel.send(tr('sadbois')).then(function () {
           message.channel.startTyping();
           setTimeout(function () {
-            message.channel.send(tr.sadbois2);
+            message.channel.send(tr('sadbois2'));
             message.channel.stopTyping();
             userInfo.knowsSecret = true;
           }, 5000);
         });
       } else {
-        message.channel.send(tr.noMatch);
+        message.channel.send(tr('noMatch'));
       }
     });
   }
 
   bot.on('message', function (message) {
-    if (!message.author.bot) {
-      // console.log(message.author.username + ' - ' + message.author.id + ' - ' + message.channel.id + ' - ' + message.content);
-      if (message.channel instanceof Discord.DMChannel) {
+    if (!message.author.isBot) {
+      // console.log(message.author.name + ' - ' + message.author.id + ' - ' + message.channel.id + ' - ' + message.content);
+      if (message.channel.isDirect) {
         message.channel.startTyping();
         setTimeout(handleDirectMessage, 2000, message);
         message.channel.stopTyping();
-      } else if (message.content === tr.introduceYourself) {
-        message.channel.send(tr.dontPurge).then(function () {
+        return;
+      }
+      // The English versions always work too, so nobody gets locked out by a language change
+      const tr = channelTr(message.channel.id);
+      const adminPrefix = tr.variants('adminPrefix').find(function (prefix) {
+        return message.content.startsWith(prefix);
+      });
+      if (tr.variants('introduceYourself').includes(message.content)) {
+        message.channel.send(tr('dontPurge')).then(function () {
           postNewMessage(message.channel, false);
         });
-      } else if (message.content === tr.flip) {
+      } else if (adminPrefix !== undefined) {
+        handleAdminCommand(message, adminPrefix);
+      } else if (tr.variants('flip').includes(message.content)) {
         pers.getChannelInfo(message.channel.id, true, function (channelInfo) {
           if (channelInfo !== null) {
-            pers.flipShallow(message.channel.id);
-            message.channel.send(tr.barrel);
+            pers.rotateCategory(message.channel.id);
+            const next = pers.getNextCategory(message.channel.id);
+            message.channel.send(tr('barrel') + (next ? tr('flipNext', {label: next.label}) : ''));
           }
         });
+      } else {
+        recordDiscussion(message);
       }
     }
   });
 
-  function daysTillWork () {
-    const today = moment().tz(TIMEZONE);
-    let formattedToday = today.format('DD-MM-YYYY');
+  function handleAdminCommand (message, adminPrefix) {
+    const channelId = message.channel.id;
+    const tr = channelTr(channelId);
+    const adminReg = /^(\S*)\s*([\s\S]*)$/;
+    const params = adminReg.exec(message.content.substring(adminPrefix.length).trim());
+    const command = params[1].toLowerCase();
+    const value = params[2].trim();
+
+    // Moderation happens in the mod channel, which usually isn't one Dee posts in
+    if (modCommands.includes(command)) {
+      handleModerationCommand(message, command, value);
+      return;
+    }
+
+    pers.getChannelInfo(channelId, true, function (channelInfo) {
+      if (channelInfo === null) {
+        return;
+      }
+      // Anyone can look at the leaderboard and categories
+      if (command === 'top') {
+        sendLeaderboard(message.channel, value);
+        return;
+      }
+      if (command === 'archive') {
+        sendArchive(message.channel, value);
+        return;
+      }
+      if (command === 'categories' || (command === 'category' && value === '')) {
+        const next = pers.getNextCategory(channelId);
+        message.channel.send(tr('currentCategories') + pers.getCategories(channelId).map(function (category) {
+          return '\n**' + category.aliases.concat(category.name).join(', ') + '** - ' + category.label + (next !== null && category.name === next.name ? tr('categoryNext') : '');
+        }).join(''));
+        return;
+      }
+      bot.isAdmin(message.channel, message.author).then(function (isAdmin) {
+        if (isAdmin) {
+          handleSettingsCommand(message, command, value);
+        } else {
+          message.channel.send(tr('notAllowed'));
+        }
+      }).catch(winston.error);
+    });
+  }
+
+  // The rest of the admin commands, for those allowed to change settings
+  function handleSettingsCommand (message, command, value) {
+    const channelId = message.channel.id;
+    const tr = channelTr(channelId);
+    const schedule = pers.getSchedule(channelId);
+    let error;
+
+    if (command === 'modchannel') {
+      const modChannelId = value.toLowerCase() === 'off' ? null : bot.findChannelMention(value);
+      if (value === '') {
+        const current = pers.getModChannel(channelId);
+        message.channel.send(current ? tr('currentModChannel', {channel: bot.channelMention(current)}) : tr('noModChannel'));
+      } else if ((error = updateChannelSettings(channelId, {modChannel: modChannelId})) !== null) {
+        message.channel.send(error);
+      } else {
+        message.channel.send(modChannelId === null ? tr('modChannelOff') : tr('newModChannel', {channel: bot.channelMention(modChannelId)}));
+      }
+    } else if (command === 'category') {
+      // add <name> <label>, or remove <name>
+      const categoryParams = /^(add|remove)\s+(\S+)\s*([\s\S]*)$/i.exec(value);
+      if (categoryParams === null) {
+        message.channel.send(tr('categoryUsageAdmin'));
+      } else if (categoryParams[1].toLowerCase() === 'add') {
+        if ((error = addCategory(channelId, categoryParams[2], categoryParams[3], [])) !== null) {
+          message.channel.send(error);
+        } else {
+          message.channel.send(tr('categoryAdded', {name: categoryParams[2].toLowerCase()}));
+        }
+      } else if ((error = removeCategory(channelId, categoryParams[2].toLowerCase())) !== null) {
+        message.channel.send(error);
+      } else {
+        message.channel.send(tr('categoryRemoved', {name: categoryParams[2].toLowerCase()}));
+      }
+    } else if (command === 'holidays') {
+      if (value === '') {
+        message.channel.send(tr('currentHolidays', {regions: pers.getHolidayRegion(channelId), options: '`' + holidays.listRegions().join('`, `') + '`'}));
+      } else if ((error = updateChannelSettings(channelId, {holidayRegion: value})) !== null) {
+        message.channel.send(error);
+      } else {
+        message.channel.send(tr('newHolidays', {regions: pers.getHolidayRegion(channelId)}));
+      }
+    } else if (command === 'schedule' || command === 'timezone') {
+      if (value === '') {
+        message.channel.send(tr('currentSchedule', {schedule: schedule.cronTiming, timezone: schedule.timezone}));
+      } else if ((error = updateChannelSettings(channelId, command === 'schedule' ? {cronTiming: value} : {timezone: value})) !== null) {
+        message.channel.send(error);
+      } else {
+        const updated = pers.getSchedule(channelId);
+        message.channel.send(tr('newSchedule', {schedule: updated.cronTiming, timezone: updated.timezone}));
+      }
+    } else if (command === 'language') {
+      if (value === '') {
+        message.channel.send(tr('currentLanguage', {locale: tr.locale, locales: '`' + i18n.listLocales().join('`, `') + '`'}));
+      } else if ((error = updateChannelSettings(channelId, {locale: value})) !== null) {
+        message.channel.send(error);
+      } else {
+        const newTr = channelTr(channelId);
+        message.channel.send(newTr('newLanguage', {locale: newTr.locale}));
+      }
+    } else if (command === 'persona') {
+      if (value === '') {
+        message.channel.send(tr('currentPersona', {personas: describePersonas()}));
+      } else if ((error = updateChannelSettings(channelId, {persona: value.toLowerCase() === 'default' ? null : value})) !== null) {
+        message.channel.send(error);
+      } else {
+        // Introduced in the new voice
+        message.channel.send(channelTr(channelId)('newPersona'));
+      }
+    } else if (command === 'votes' || command === 'emoji') {
+      const emoji = value.split(/\s+/).filter(Boolean).map(bot.findEmoji);
+      if (value === '') {
+        message.channel.send(tr('currentVotes', describeVotes(channelId)));
+      } else if ((error = updateChannelSettings(channelId, command === 'votes' ? {reactCount: Number(value)} : {upvote: emoji[0], downvote: emoji[1] || null})) !== null) {
+        message.channel.send(error);
+      } else {
+        message.channel.send(tr(command === 'votes' ? 'newVotes' : 'newEmoji', describeVotes(channelId)));
+      }
+    } else if (command === 'pause' || command === 'resume') {
+      const paused = command === 'pause';
+      if (pers.getPaused(channelId) === paused) {
+        message.channel.send(tr(paused ? 'alreadyPaused' : 'notPaused'));
+      } else {
+        updateChannelSettings(channelId, {paused: paused});
+        message.channel.send(tr(paused ? 'paused' : 'resumed'));
+      }
+    } else if (command === 'skip') {
+      postNewMessage(message.channel, false);
+    } else if (command === 'post') {
+      const questionId = /^#?\d+$/.test(value) ? parseInt(value.replace(/^#/, '')) : null;
+      const upcoming = getUpcoming(channelId);
+      if (value === '') {
+        message.channel.send(upcoming.length === 0 ? tr('allOut') : tr('upcoming') + upcoming.map(function (queued) {
+          const details = (queued.occasion ? [describeOccasion(tr, queued.occasion)] : []).concat(queued.tags);
+          return '\n**#' + queued.questionId + '** (' + queued.category.toUpperCase() + ') ' + queued.question + (details.length === 0 ? '' : ' *[' + details.join(', ') + ']*');
+        }).join(''));
+      } else if (!getUpcoming(channelId, Infinity).some((queued) => queued.questionId === questionId)) {
+        message.channel.send(tr('noSuchQuestion', {id: value.replace(/^#/, '')}));
+      } else {
+        postNewMessage(message.channel, false, questionId);
+      }
+    } else if (command === 'date' || command === 'tag') {
+      // <number> <when or tags>, or <number> off
+      const detailParams = /^#?(\d+)\s+([\s\S]+)$/.exec(value);
+      const questionId = detailParams === null ? null : parseInt(detailParams[1]);
+      const off = detailParams !== null && detailParams[2].toLowerCase() === 'off';
+      if (detailParams === null) {
+        message.channel.send(tr(command === 'date' ? 'dateUsage' : 'tagUsage'));
+      } else if (!getUpcoming(channelId, Infinity).some((queued) => queued.questionId === questionId)) {
+        message.channel.send(tr('noSuchQuestion', {id: questionId}));
+      } else if (command === 'date') {
+        if ((error = updateQuestionDetails(channelId, questionId, {occasion: off ? null : detailParams[2]})) !== null) {
+          message.channel.send(error);
+        } else {
+          message.channel.send(off ? tr('questionUndated', {id: questionId}) : tr('questionDated', {id: questionId, occasion: describeOccasion(tr, parseOccasion(channelId, detailParams[2]))}));
+        }
+      } else {
+        const tags = off ? [] : detailParams[2].toLowerCase().split(/\s+/);
+        if ((error = updateQuestionDetails(channelId, questionId, {tags: tags})) !== null) {
+          message.channel.send(error);
+        } else {
+          message.channel.send(off ? tr('questionUntagged', {id: questionId}) : tr('questionTagged', {id: questionId, tags: tags.join(', ')}));
+        }
+      }
+    } else if (command === 'theme') {
+      // <tag> [weeks], or off
+      const themeParams = /^(\S+)(?:\s+(\d+))?$/.exec(value.toLowerCase());
+      const theme = pers.getTheme(channelId);
+      if (value === '') {
+        message.channel.send(theme === null ? tr('noTheme') : tr('currentTheme', {tag: theme.tag, until: moment(theme.until).tz(schedule.timezone).format('LL')}));
+      } else if (value.toLowerCase() === 'off') {
+        pers.setTheme(channelId, null, null);
+        message.channel.send(tr(theme === null ? 'noTheme' : 'themeOff'));
+      } else if (themeParams === null || !TAG_PATTERN.test(themeParams[1]) || parseInt(themeParams[2] || 1) < 1) {
+        message.channel.send(tr('themeUsage'));
+      } else {
+        const tag = themeParams[1];
+        const weeks = parseInt(themeParams[2] || 1);
+        pers.setTheme(channelId, tag, Date.now() + weeks * WEEK);
+        const tagged = getUpcoming(channelId, Infinity).filter((queued) => !queued.occasion && queued.tags.includes(tag)).length;
+        message.channel.send(tr('newTheme', {tag: tag, count: weeks}) + ' ' + tr(tagged === 0 ? 'themeEmpty' : 'themeQueued', {tag: tag, count: tagged}));
+      }
+    } else if (command === 'recap') {
+      const on = value.toLowerCase() === 'on';
+      if (value === '') {
+        message.channel.send(tr(pers.getRecap(channelId).on ? 'recapIsOn' : 'recapIsOff'));
+      } else if (!['on', 'off'].includes(value.toLowerCase())) {
+        message.channel.send(tr('recapUsage'));
+      } else {
+        updateChannelSettings(channelId, {recap: on});
+        message.channel.send(tr(on ? 'recapOn' : 'recapOff'));
+      }
+    } else if (command === 'leave') {
+      if (value.toLowerCase() !== 'confirm') {
+        message.channel.send(tr('leaveConfirm'));
+      } else {
+        leaveChannel(message.channel);
+      }
+    } else {
+      message.channel.send(tr('adminHelp'));
+    }
+  }
+
+  // Value is an optional category (like dmc or spd) and how far back to look (week, month, year or all)
+  function sendLeaderboard (channel, value) {
+    const tr = channelTr(channel.id);
+    let category = null;
+    let range = 'all';
+    for (let option of value.toLowerCase().split(/\s+/).filter(Boolean)) {
+      if (pers.findCategory(channel.id, option) !== null) {
+        category = pers.findCategory(channel.id, option).name;
+      } else if (['week', 'month', 'year', 'all'].includes(option)) {
+        range = option;
+      } else {
+        channel.send(tr('topHelp'));
+        return;
+      }
+    }
+    const from = range === 'all' ? null : moment().subtract(1, range).valueOf();
+    const leaderboard = pers.getLeaderboard(channel.id, category, from, null, LEADERBOARD_SIZE);
+    if (leaderboard.best.length === 0) {
+      channel.send(tr('topNone'));
+      return;
+    }
+    const describe = function (row, i) {
+      const question = row.question.length > 200 ? row.question.substring(0, 200) + '...' : row.question;
+      return (i + 1) + '. (' + (row.score > 0 ? '+' : '') + row.score + ') ' + question + (row.skipped ? tr('topSkipped') : '');
+    };
+    // With only a few questions, the worst would just be the best again
+    const worst = leaderboard.worst.filter(function (row) {
+      return !leaderboard.best.includes(row);
+    });
+    let reply = tr('topBest') + '\n' + leaderboard.best.map(describe).join('\n');
+    if (worst.length !== 0) {
+      reply += '\n\n' + tr('topWorst') + '\n' + worst.map(describe).join('\n');
+    }
+    channel.send(reply);
+  }
+
+  function describeDiscussion (tr, post) {
+    if (post.messages === 0) {
+      return tr('discussionNone');
+    }
+    return tr('discussionMessages', {count: post.messages}) + ' ' + tr('discussionPeople', {count: post.participants});
+  }
+
+  function describeReply (tr, channel, reply) {
+    return tr('replyItem', {name: reply.authorName, reactions: tr('discussionReactions', {count: reply.reactions}), reply: shorten(reply.content), link: bot.messageLink(channel, reply.messageId)});
+  }
+
+  // Value is empty for the latest questions, or a number from that list for how one went
+  function sendArchive (channel, value) {
+    const tr = channelTr(channel.id);
+    const timezone = pers.getSchedule(channel.id).timezone;
+    const postId = /^#?\d+$/.test(value) ? parseInt(value.replace(/^#/, '')) : null;
+    if (value === '') {
+      const archive = pers.getArchive(channel.id, null, 0, LIST_SIZE);
+      if (archive.total === 0) {
+        channel.send(tr('archiveNone'));
+        return;
+      }
+      channel.send(tr('archiveHeader') + '\n' + archive.posts.map(function (post) {
+        return tr('archiveItem', {id: post.postId, date: moment(post.postedAt).tz(timezone).format('ll'), question: shorten(post.question), discussion: describeDiscussion(tr, post)});
+      }).join('\n') + (archive.total > LIST_SIZE ? '\n' + tr('andMore', {count: archive.total - LIST_SIZE}) : ''));
+      return;
+    }
+    const post = postId === null ? null : pers.getArchivedPost(channel.id, postId, ARCHIVE_TOP_SIZE);
+    if (post === null) {
+      channel.send(tr('archiveUsage'));
+      return;
+    }
+    let reply = tr('archivePost', {date: moment(post.postedAt).tz(timezone).format('ll'), discussion: describeDiscussion(tr, post)}) + '\n> ' + post.question.replace(/\n/g, '\n> ');
+    if (post.votes !== null) {
+      reply += '\n' + tr('archiveVotes', {up: post.votes.up, down: post.votes.down});
+    }
+    reply += '\n' + (post.top.length === 0 ? tr('noTopReplies') : tr('topReplies') + '\n' + post.top.map((top) => describeReply(tr, channel, top)).join('\n'));
+    channel.send(reply);
+  }
+
+  // A week's questions and the replies people liked most, posted with the first scheduled question a week
+  // (by the channel's calendar) after the last recap
+  function postRecap (channel) {
+    const tr = channelTr(channel.id);
+    const recap = pers.getRecap(channel.id);
+    const timezone = pers.getSchedule(channel.id).timezone;
+    if (!recap.on || (recap.last !== null && moment().tz(timezone).startOf('day').diff(moment(recap.last).tz(timezone).startOf('day'), 'days') < 7)) {
+      return;
+    }
+    const from = recap.last === null ? Date.now() - WEEK : recap.last;
+    pers.setLastRecap(channel.id, Date.now());
+    const posts = pers.getArchive(channel.id, from, 0, Infinity).posts.reverse();
+    if (posts.length === 0) {
+      return;
+    }
+    const top = pers.getTopRepliesSince(channel.id, from, RECAP_TOP_SIZE);
+    let text = tr('recapHeader', {count: posts.length}) + '\n' + posts.map(function (post) {
+      return tr('recapItem', {question: shorten(post.question), discussion: describeDiscussion(tr, post)});
+    }).join('\n');
+    if (top.length !== 0) {
+      text += '\n\n' + tr('recapHighlights') + '\n' + top.map((reply) => describeReply(tr, channel, reply)).join('\n');
+    }
+    channel.send(text);
+  }
+
+  // Category names and aliases double as DM commands, so they can't clash with those or each other.
+  // Returns what was wrong with the category, or null if it was added.
+  function addCategory (channelId, name, label, aliases) {
+    const tr = channelTr(channelId);
+    const names = [name].concat(aliases).map(function (alias) {
+      return String(alias).toLowerCase();
+    });
+    const reserved = [paramCommands, nonParamCommands, wordCommands].reduce(function (names, commands) {
+      return names.concat(...Object.values(commands));
+    }, []);
+    for (let alias of names) {
+      if (!/^[a-z][a-z0-9-]{0,19}$/.test(alias)) {
+        return tr('badCategoryName');
+      }
+      if (reserved.includes(alias) || pers.findCategory(channelId, alias) !== null || names.indexOf(alias) !== names.lastIndexOf(alias)) {
+        return tr('categoryTaken', {name: alias});
+      }
+    }
+    if (typeof label !== 'string' || label.trim() === '' || label.length > 100) {
+      return tr('badCategoryLabel');
+    }
+    pers.addCategory(channelId, names[0], label.trim(), names.slice(1));
+    return null;
+  }
+
+  // Only empty categories can go, so nobody's questions get thrown away
+  function removeCategory (channelId, name) {
+    const tr = channelTr(channelId);
+    if (pers.getCategory(channelId, name) === null) {
+      return tr('noSuchCategory');
+    }
+    if (pers.getCategories(channelId).length === 1) {
+      return tr('lastCategory');
+    }
+    const queued = pers.countQueued(channelId, name);
+    if (queued !== 0) {
+      return tr('categoryNotEmpty', {count: queued});
+    }
+    pers.removeCategory(channelId, name);
+    return null;
+  }
+
+  function describeVotes (channelId) {
+    const emoji = voteEmoji({upvoteId: pers.getChannelField(channelId, 'upvoteId'), downvoteId: pers.getChannelField(channelId, 'downvoteId')});
+    return {count: pers.getChannelField(channelId, 'reactCount'), up: emoji.up, down: emoji.down};
+  }
+
+  // The next few questions in each of the channel's categories
+  function getUpcoming (channelId, perCategory = UPCOMING_SIZE) {
+    return pers.getCategories(channelId).reduce(function (upcoming, category) {
+      return upcoming.concat(pers.getQueued(channelId, category.name).slice(0, perCategory));
+    }, []);
+  }
+
+  // A day (YYYY-MM-DD), the same day every year (MM-DD) or one of the channel's holidays by name, as
+  // pers.takeDatedQuestion reads it, or undefined if it's none of those
+  function parseOccasion (channelId, text) {
+    const when = text.trim().toLowerCase();
+    if (/^\d{4}-\d{2}-\d{2}$/.test(when)) {
+      return moment(when, 'YYYY-MM-DD', true).isValid() ? when : undefined;
+    }
+    if (/^\d{2}-\d{2}$/.test(when)) {
+      // Checked against a leap year, so 02-29 works
+      return moment('2000-' + when, 'YYYY-MM-DD', true).isValid() ? when : undefined;
+    }
+    const year = moment().tz(pers.getSchedule(channelId).timezone).year();
+    const region = pers.getHolidayRegion(channelId);
+    const names = holidays.getHolidays(year, region).concat(holidays.getHolidays(year + 1, region)).map(function (holiday) {
+      return holiday.name.toLowerCase();
+    });
+    return names.includes(when) ? 'holiday:' + when : undefined;
+  }
+
+  function describeOccasion (tr, occasion) {
+    const day = occasion.replace(/^holiday:/, '');
+    return pers.isYearly(occasion) ? tr('occasionYearly', {day: day}) : tr('occasionOnce', {day: day});
+  }
+
+  // Checks a queued question's occasion (anything parseOccasion knows, or null to put it back in the queue)
+  // and/or tags (an array, empty for none). Returns {error} with what was wrong with them, or {error: null}
+  // with the occasion and tags the way pers saves them, undefined for whichever wasn't given.
+  function checkQuestionDetails (channelId, details) {
+    const tr = channelTr(channelId);
+    const occasion = typeof details.occasion === 'string' ? parseOccasion(channelId, details.occasion) : (details.occasion === null ? null : undefined);
+    if (occasion === undefined && details.occasion !== undefined) {
+      return {error: tr('badOccasion')};
+    }
+    if (details.tags !== undefined && (!Array.isArray(details.tags) || details.tags.length > MAX_TAGS || !details.tags.every((tag) => typeof tag === 'string' && TAG_PATTERN.test(tag)))) {
+      return {error: tr('badTags', {max: MAX_TAGS})};
+    }
+    const tags = details.tags === undefined ? undefined : details.tags.filter((tag, i) => details.tags.indexOf(tag) === i);
+    return {error: null, occasion: occasion, tags: tags};
+  }
+
+  // Checks and saves a queued question's occasion and/or tags, as checkQuestionDetails.
+  // Returns what was wrong with them, or null if they were saved.
+  function updateQuestionDetails (channelId, questionId, details) {
+    const checked = checkQuestionDetails(channelId, details);
+    if (checked.error !== null) {
+      return checked.error;
+    }
+    if (checked.occasion !== undefined) {
+      pers.setQuestionOccasion(channelId, questionId, checked.occasion);
+    }
+    if (checked.tags !== undefined) {
+      pers.setQuestionTags(channelId, questionId, checked.tags);
+    }
+    return null;
+  }
+
+  // Unpins the channel's question and forgets the channel, after a backup in case it was a mistake
+  function leaveChannel (channel) {
+    const tr = channelTr(channel.id);
+    const messageId = pers.getQuestionMessageId(channel.id);
+    pers.backup('leave-' + channel.id, function (err) {
+      if (err) {
+        winston.error(err);
+        channel.send(tr('uhOh'));
+        return;
+      }
+      unscheduleChannel(channel.id);
+      pers.removeChannel(channel.id);
+      channel.send(tr('leaving'));
+      if (messageId !== null) {
+        channel.fetchMessage(messageId).then(function (message) {
+          return message.unpin();
+        }).catch(winston.error);
+      }
+    });
+  }
+
+  function describePersonas () {
+    return personas.listPersonas().map(function (persona) {
+      return '`' + persona.id + '` (' + persona.name + ')';
+    }).join(', ');
+  }
+
+  // Checks and saves any of cronTiming, timezone, holidayRegion, modChannel (null to turn it off), locale, persona,
+  // reactCount, upvote and downvote (emoji), paused and recap. Returns what was wrong with them, or null if they were all saved.
+  function updateChannelSettings (channelId, settings) {
+    const tr = channelTr(channelId);
+    const schedule = pers.getSchedule(channelId);
+    const cronTiming = settings.cronTiming !== undefined ? settings.cronTiming : schedule.cronTiming;
+    const timezone = settings.timezone !== undefined ? settings.timezone : schedule.timezone;
+
+    if (typeof timezone !== 'string' || moment.tz.zone(timezone) === null) {
+      return tr('badTimezone');
+    }
+    try {
+      cronTime(cronTiming, timezone);
+    } catch (err) {
+      return tr('badSchedule', {error: err.message});
+    }
+    if (settings.holidayRegion !== undefined && (typeof settings.holidayRegion !== 'string' || !holidays.isValidRegion(settings.holidayRegion))) {
+      return tr('badHolidays', {options: '`' + holidays.listRegions().join('`, `') + '`'});
+    }
+    if (settings.modChannel !== undefined && settings.modChannel !== null && bot.getChannel(settings.modChannel) === undefined) {
+      return tr('badModChannel');
+    }
+    if (settings.locale !== undefined && settings.locale !== null && i18n.findLocale(settings.locale) === null) {
+      return tr('badLanguage', {locales: '`' + i18n.listLocales().join('`, `') + '`'});
+    }
+    if (settings.persona !== undefined && settings.persona !== null && personas.findPersona(settings.persona) === null) {
+      return tr('badPersona', {personas: describePersonas()});
+    }
+    if (settings.reactCount !== undefined && (!Number.isInteger(settings.reactCount) || settings.reactCount < 1 || settings.reactCount > MAX_REACT_COUNT)) {
+      return tr('badVotes', {max: MAX_REACT_COUNT});
+    }
+    const votes = describeVotes(channelId);
+    const upvote = settings.upvote !== undefined ? settings.upvote : votes.up;
+    const downvote = settings.downvote !== undefined ? settings.downvote : votes.down;
+    if (![upvote, downvote].every((emoji) => typeof emoji === 'string' && /^\S{1,64}$/.test(emoji)) || upvote === downvote) {
+      return tr('badEmoji');
+    }
+    if (settings.paused !== undefined && typeof settings.paused !== 'boolean') {
+      return tr('badPaused');
+    }
+    if (settings.recap !== undefined && typeof settings.recap !== 'boolean') {
+      return tr('badRecap');
+    }
+
+    if (cronTiming !== schedule.cronTiming || timezone !== schedule.timezone) {
+      pers.setSchedule(channelId, cronTiming, timezone);
+      // Runs missed under the old schedule don't count
+      pers.setLastScheduledRun(channelId, Date.now());
+      scheduleChannel(channelId);
+    }
+    if (settings.holidayRegion !== undefined) {
+      pers.setHolidayRegion(channelId, settings.holidayRegion.toLowerCase());
+    }
+    if (settings.modChannel !== undefined) {
+      pers.setModChannel(channelId, settings.modChannel);
+    }
+    if (settings.locale !== undefined) {
+      pers.setLocale(channelId, settings.locale === null ? null : i18n.findLocale(settings.locale));
+    }
+    if (settings.persona !== undefined) {
+      pers.setPersona(channelId, settings.persona === null ? null : personas.findPersona(settings.persona));
+    }
+    if (settings.reactCount !== undefined) {
+      pers.setChannelFields(channelId, {reactCount: settings.reactCount});
+    }
+    if (upvote !== votes.up || downvote !== votes.down) {
+      pers.setChannelFields(channelId, {upvoteId: encodeURIComponent(upvote), downvoteId: encodeURIComponent(downvote)});
+    }
+    if (settings.paused !== undefined && settings.paused !== pers.getPaused(channelId)) {
+      pers.setPaused(channelId, settings.paused);
+      if (!settings.paused) {
+        // Runs missed while paused don't count
+        pers.setLastScheduledRun(channelId, Date.now());
+      }
+      scheduleChannel(channelId);
+    }
+    if (settings.recap !== undefined && settings.recap !== pers.getRecap(channelId).on) {
+      // The first recap's a week from now
+      pers.setRecap(channelId, settings.recap);
+    }
+    return null;
+  }
+
+  const modCommands = ['approve', 'reject', 'edit'];
+
+  function handleModerationCommand (message, command, value) {
+    const modReg = /^#?(\d+)\s*([\s\S]*)$/;
+    const params = modReg.exec(value);
+    const submission = params === null ? null : pers.getPendingQuestion(parseInt(params[1]));
+    if (!submission || pers.getModChannel(submission.channel) !== message.channel.id) {
+      message.channel.send(channelTr(message.channel.id)('noSubmission'));
+      return;
+    }
+    // Mod channels speak the language of the channel they look after
+    const tr = channelTr(submission.channel);
+    bot.isAdmin(message.channel, message.author).then(function (isAdmin) {
+      if (isAdmin) {
+        moderateSubmission(message, command, submission, params[2].trim());
+      } else {
+        message.channel.send(tr('notAllowed'));
+      }
+    }).catch(winston.error);
+  }
+
+  function moderateSubmission (message, command, submission, extra) {
+    const tr = channelTr(submission.channel);
+    if (submission.status !== 'pending') {
+      message.channel.send(tr('alreadyModerated', {status: submission.status}));
+      return;
+    }
+
+    if (command === 'edit') {
+      if (extra.length <= 2 || extra[0] !== '"' || extra[extra.length - 1] !== '"') {
+        message.channel.send(tr('badEdit'));
+        return;
+      }
+      submission.question = extra.slice(1, -1);
+      pers.editPendingQuestion(submission.submissionId, submission.question);
+      message.channel.fetchMessage(submission.modMessageId).then(function (modMessage) {
+        modMessage.edit(describeSubmission(submission));
+      }).catch(winston.error);
+      message.channel.send(tr('submissionEdited'));
+    } else {
+      resolveSubmission(submission.submissionId, command === 'approve', extra);
+    }
+  }
+
+  function describeSubmission (submission) {
+    const tr = channelTr(submission.channel);
+    return tr('modSubmission', {id: submission.submissionId, category: submission.category.toUpperCase(), channel: bot.channelMention(submission.channel)}) + '\n' +
+      '>>> ' + submission.question;
+  }
+
+  // Posts a new submission in the channel's mod channel and waits for someone to make a call on it
+  function submitForReview (channelId, question, author, category, similarTo) {
+    const modChannel = bot.getChannel(pers.getModChannel(channelId));
+    const submissionId = pers.addPendingQuestion(channelId, question, author, category);
+    const submission = pers.getPendingQuestion(submissionId);
+    const tr = channelTr(channelId);
+    let flag = '';
+    if (similarTo) {
+      flag = tr('modSimilar', {percent: Math.round(similarTo.similarity * 100), question: similarTo.question}) + '\n';
+    }
+    modChannel.send(flag + describeSubmission(submission) + '\n' + tr('modInstructions')).then(function (message) {
+      pers.setPendingMessageId(submissionId, message.id);
+      message.react(APPROVE_EMOJI).then(function () {
+        message.react(REJECT_EMOJI);
+      });
+    }).catch(winston.error);
+  }
+
+  function resolveSubmission (submissionId, approved, reason) {
+    pers.resolvePendingQuestion(submissionId, approved, function (submission) {
+      if (submission === null) {
+        return; // Someone beat us to it
+      }
+      const modChannel = bot.getChannel(pers.getModChannel(submission.channel));
+      const channel = bot.getChannel(submission.channel);
+      const where = channel ? ' (#' + channel.name + ')' : '';
+      if (modChannel) {
+        modChannel.send(channelTr(submission.channel)(approved ? 'submissionApproved' : 'submissionRejected', {id: submission.submissionId}));
+      }
+      bot.fetchUser(submission.author).then(function (user) {
+        const tr = userTr(submission.author);
+        let outcome = tr(approved ? 'yourQApproved' : 'yourQRejected') + where + '\n';
+        if (reason) {
+          outcome += tr('modReason', {reason: reason}) + '\n';
+        }
+        user.send(outcome + '>>> ' + submission.question);
+      }).catch(winston.error);
+      if (approved) {
+        promptNewQuestion(submission.channel, submission.category);
+      }
+    });
+  }
+
+  // If a channel ran out of questions in this category, let them know there's a new one waiting
+  function promptNewQuestion (channelId, category) {
+    const current = pers.getCurrentCategory(channelId);
+    if (!pers.hasDailyQuestion(channelId) && current !== null && current.name === category && pers.getOnBreak(channelId) === null) {
+      bot.getChannel(channelId).send(channelTr(channelId)('aNewQ')).then(function (message) {
+        pers.getChannelInfo(channelId, true, function (channelInfo) {
+          message.react(voteEmoji(channelInfo).up).then(function (reactionAdded) {
+            message.react(voteEmoji(channelInfo).down);
+          });
+          pers.setQuestionMessageId(message.channel.id, message.id, function () {});
+          pers.setAsked(channelId, true);
+        });
+      });
+    }
+  }
+
+  function daysTillWork (timezone, holidayRegion) {
+    const today = moment().tz(timezone);
     let dayToday = today.format('dddd');
     let daysTillWork = 0;
     while (true) { // monkaGun
-      if (isTodayHoliday(formattedToday) || dayToday === 'Saturday' || dayToday === 'Sunday') {
+      if (holidays.isHoliday(today, holidayRegion) || dayToday === 'Saturday' || dayToday === 'Sunday') {
         daysTillWork++;
         today.add(1, 'days');
-        formattedToday = today.format('DD-MM-YYYY');
         dayToday = today.format('dddd');
       } else {
         break;
@@ -342,43 +1510,48 @@ pers.init(function (err) {
     return daysTillWork;
   }
 
-  function isTodayHoliday (formattedDate) {
-    // This will eventually need to be swapped out for an API call,
-    // but this codebase has avoided async for a while, so if I were to add
-    // it I'd want to make everything else promise-based as well.
-    return HOLIDAY_API.includes(formattedDate);
+  // The days a scheduled post is up for: today, and any days off before the next one. Questions dated for
+  // a weekend or holiday are asked the working day before, since Dee's on a break on the day.
+  function getPostDays (channelId) {
+    const timezone = pers.getSchedule(channelId).timezone;
+    const holidayRegion = pers.getHolidayRegion(channelId);
+    const day = moment().tz(timezone);
+    const days = [];
+    do {
+      days.push({date: day.format('YYYY-MM-DD'), holidays: holidays.getHolidaysOn(day, holidayRegion)});
+      day.add(1, 'days');
+    } while (holidays.isHoliday(day, holidayRegion) || day.day() === 0 || day.day() === 6);
+    return days;
   }
 
-  function postNewMessage (channel, shouldFlip) {
+  // Posts a question (the next one, or questionId if it's given) in place of the current one. Scheduled posts
+  // flip to the next category, and may go on a break instead.
+  function postNewMessage (channel, shouldFlip, questionId = null) {
     pers.getChannelInfo(channel.id, false, function (channelInfo, isNewChannel) {
+      const tr = channelTr(channel.id);
       if (isNewChannel) {
         handleCurrentVersion(channel.id);
-        var newJob = new CronJob({
-          cronTime: CRON_TIMING,
-          onTick: function () {
-            postNewMessage(bot.channels.get(channel.id), true);
-          },
-          start: false,
-          timeZone: TIMEZONE
-        });
-        newJob.start();
-        winston.info('CronJob created for new channel ' + channel.id);
+        scheduleChannel(channel.id);
       }
       if (channelInfo.questionOfTheDay !== null) {
         channel.fetchMessage(channelInfo.questionOfTheDay).then((message) => {
+          saveVotes(message, channelInfo, !shouldFlip);
           if (message.pinned) {
             message.unpin();
           }
-        });
+        }).catch(winston.error); // Someone may have deleted it
       }
 
       // Handle holiday mode if a question hasn't been forced (indicated by a shouldFlip)
       if (shouldFlip) {
         // Check if they are currently on on break
         const onBreak = pers.getOnBreak(channel.id);
+        const timezone = pers.getSchedule(channel.id).timezone;
+        const holidayRegion = pers.getHolidayRegion(channel.id);
+        const persona = personas.getPersona(pers.getPersona(channel.id));
         if (onBreak === null) {
           // Dee not on break, check if she should be
-          const days = daysTillWork();
+          const days = daysTillWork(timezone, holidayRegion);
           if (days !== 0) {
             let type = 'weekend';
             if (days === 1) {
@@ -387,30 +1560,30 @@ pers.init(function (err) {
               type = 'long-weekend';
             }
             const activityNum = pers.getActivityInfo(channel.id, type);
-            let activity = activities[type][activityNum];
+            let activity = (persona.activities[type] || [])[activityNum];
             if (activity === undefined) {
-              activity = tr.defaultActivity;
+              activity = tr('defaultActivity');
             } else {
               activity = activity.activity;
             }
-            channel.send(tr.breakTiem + tr[type] + activity + tr.cya);
+            channel.send(tr('breakTiem', {plans: tr(type) + activity}));
             pers.setQuestionMessageId(channel.id, null, function () {});
             pers.setOnBreak(channel.id, type);
             return; // All done!
           } // else nothing to do
         } else {
           // Dee on break, check if she shouldn't be
-          const daysLeft = daysTillWork();
+          const daysLeft = daysTillWork(timezone, holidayRegion);
           if (daysLeft === 0) {
             const activityCompletedNum = pers.getActivityInfo(channel.id, onBreak);
-            let activityCompleted = activities[onBreak][activityCompletedNum];
+            let activityCompleted = (persona.activities[onBreak] || [])[activityCompletedNum];
             if (activityCompleted === undefined) {
-              activityCompleted = tr.defaultOutcome;
+              activityCompleted = tr('defaultOutcome');
             } else {
               activityCompleted = activityCompleted.outcome;
               pers.setActivityInfo(channel.id, onBreak, activityCompletedNum + 1);
             }
-            channel.send(tr.imBack + activityCompleted);
+            channel.send(tr('imBack', {outcome: activityCompleted}));
             pers.setOnBreak(channel.id, null);
             // Continue with q asking
           } else {
@@ -419,23 +1592,34 @@ pers.init(function (err) {
         }
       }
 
-      pers.getNextQuestion(channel.id, false, function (question, shallow, hasNext) {
+      const post = function (question, category, hasNext) {
         if (question === null) {
-          channel.send(tr.allOut).then(function (message) {
+          channel.send(tr('allOut')).then(function (message) {
             pers.setQuestionMessageId(message.channel.id, null, function () {});
           });
         } else {
-          const needQ = (hasNext === null) ? tr.noQTommorrow : '';
-          channel.send('***Today\'s ' + (shallow ? 'shallow and pointless' : 'deep and meaningful') + ' question is: ***' + question.question + needQ).then(function (message) {
-            message.react(channelInfo.upvoteId).then(function (reactionAdded) {
-              message.react(channelInfo.downvoteId);
+          const needQ = (hasNext === null) ? tr('noQTommorrow') : '';
+          channel.send(tr('todaysQuestion', {label: category.label, question: question.question}) + needQ).then(function (message) {
+            message.react(voteEmoji(channelInfo).up).then(function (reactionAdded) {
+              message.react(voteEmoji(channelInfo).down);
             });
             message.pin();
             pers.setQuestionMessageId(message.channel.id, message.id, function () {});
+            pers.addPostedQuestion(message.channel.id, message.id, question.question, category.name, question.questionId);
             pers.setAsked(message.channel.id, false);
           });
         }
-      }, shouldFlip);
+      };
+      // Scheduled posts ask any dated questions that are due ahead of the queue, after the weekly recap
+      if (shouldFlip) {
+        postRecap(channel);
+      }
+      const next = questionId !== null ? pers.takeQuestion(channel.id, questionId) : (shouldFlip ? pers.takeDatedQuestion(channel.id, getPostDays(channel.id)) : null);
+      if (next === null) {
+        pers.getNextQuestion(channel.id, false, post, shouldFlip);
+      } else {
+        post(next.question, next.category, next.hasNext);
+      }
     });
   }
 });
@@ -0,0 +1,420 @@
+const EventEmitter = require('events');
+const http = require('http');
+const https = require('https');
+const URL = require('url').URL;
+const winston = require('winston');
+
+// Dee on Matrix, through the client-server API (https://spec.matrix.org/latest/client-server-api/).
+// See transport.js for what every transport does. She needs an account of her own:
+//
+// TRANSPORT=matrix MATRIX_HOMESERVER=https://matrix.example.org MATRIX_ACCESS_TOKEN=<token> node index.js
+//
+// Rooms are channels: invite Dee and introduce her as usual. Rooms marked as direct chats are DMs,
+// and she accepts every invite. Room moderators and admins can change her settings. Messages go
+// out as plain text, so formatting like **this** shows as it's written.
+
+const SYNC_TIMEOUT = 30000;
+const RETRY_DELAY = 5000;
+const TYPING_TIMEOUT = 10000;
+// Element's moderators are 50, and admins 100
+const MODERATOR_LEVEL = 50;
+
+const encode = encodeURIComponent;
+
+// @alice:example.org goes by alice
+const localpart = function (userId) {
+  return userId.replace(/^@([^:]*).*$/, '$1');
+};
+
+class MatrixUser {
+  constructor (transport, userId) {
+    this.transport = transport;
+    this.id = userId;
+    this.name = localpart(userId);
+    this.isBot = userId === transport.userId;
+  }
+
+  send (content) {
+    return this.transport.directRoom(this.id).then((channel) => channel.send(content));
+  }
+}
+
+class MatrixChannel {
+  constructor (transport, room) {
+    this.transport = transport;
+    this.id = room.id;
+    this.isDirect = transport.isDirect(room.id);
+    this.name = this.isDirect ? null : room.name || (room.alias ? localpart(room.alias.replace(/^#/, '@')) : room.id);
+    // Matrix doesn't have servers like Discord, the room's homeserver is the closest thing
+    const domain = /:(.+)$/.exec(room.id);
+    const server = domain ? domain[1] : transport.homeserverName;
+    this.server = this.isDirect ? null : {id: server, name: server};
+  }
+
+  send (content) {
+    return this.transport.sendEvent(this.id, 'm.room.message', {msgtype: 'm.text', body: content}).then((eventId) => {
+      return new MatrixMessage(this.transport, this, {event_id: eventId, sender: this.transport.userId, content: {body: content}, origin_server_ts: Date.now()});
+    });
+  }
+
+  fetchMessage (messageId) {
+    return this.transport.fetchMessage(this, messageId);
+  }
+
+  startTyping () {
+    this.transport.setTyping(this.id, true);
+  }
+
+  stopTyping () {
+    this.transport.setTyping(this.id, false);
+  }
+}
+
+class MatrixMessage {
+  constructor (transport, channel, event, pinned = false, reactions = []) {
+    this.transport = transport;
+    this.id = event.event_id;
+    this.channel = channel;
+    this.author = new MatrixUser(transport, event.sender);
+    this.content = event.content.body || '';
+    this.createdTimestamp = event.origin_server_ts;
+    this.pinned = pinned;
+    this.reactions = reactions;
+  }
+
+  react (emoji) {
+    return this.transport.sendEvent(this.channel.id, 'm.reaction', {
+      'm.relates_to': {rel_type: 'm.annotation', event_id: this.id, key: emoji}
+    }).then(() => this);
+  }
+
+  pin () {
+    return this.transport.setPinned(this.channel.id, this.id, true).then(() => {
+      this.pinned = true;
+      return this;
+    });
+  }
+
+  unpin () {
+    return this.transport.setPinned(this.channel.id, this.id, false).then(() => {
+      this.pinned = false;
+      return this;
+    });
+  }
+
+  // Edits are new events which replace the old one, with a fallback for clients which don't know them
+  edit (content) {
+    return this.transport.sendEvent(this.channel.id, 'm.room.message', {
+      msgtype: 'm.text',
+      body: '* ' + content,
+      'm.new_content': {msgtype: 'm.text', body: content},
+      'm.relates_to': {rel_type: 'm.replace', event_id: this.id}
+    }).then(() => {
+      this.content = content;
+      return this;
+    });
+  }
+}
+
+/**
+* A transport for Matrix. Channels are rooms, and the server is the room's homeserver.
+*/
+class MatrixTransport extends EventEmitter {
+  /**
+  * @param {{homeserver: string, accessToken: string}} options The homeserver's URL, and Dee's access token.
+  */
+  constructor (options) {
+    super();
+    if (!options.homeserver || !options.accessToken) {
+      throw new Error('Matrix needs MATRIX_HOMESERVER and MATRIX_ACCESS_TOKEN');
+    }
+    this.homeserver = options.homeserver.replace(/\/+$/, '');
+    this.homeserverName = this.homeserver.replace(/^\w+:\/\//, '');
+    this.accessToken = options.accessToken;
+    this.userId = null;
+    this.since = null;
+    this.nextTransaction = 0;
+    // Joined rooms by id, as {id, name, alias, direct}
+    this.rooms = new Map();
+    // Direct chats by the user they're with (the m.direct account data)
+    this.direct = {};
+    // Which message each reaction was to, so taking it back can be told apart from other redactions
+    this.reactionEvents = new Map();
+  }
+
+  // Resolves to the response's JSON, or rejects with the homeserver's error
+  request (method, path, body) {
+    const url = new URL(this.homeserver + '/_matrix/client' + path);
+    const data = body === undefined ? null : JSON.stringify(body);
+    const headers = {'Authorization': 'Bearer ' + this.accessToken};
+    if (data !== null) {
+      headers['Content-Type'] = 'application/json';
+      headers['Content-Length'] = Buffer.byteLength(data);
+    }
+    return new Promise(function (resolve, reject) {
+      const request = (url.protocol === 'http:' ? http : https).request(url, {method: method, headers: headers}, function (response) {
+        let text = '';
+        response.setEncoding('utf8');
+        response.on('data', function (chunk) {
+          text += chunk;
+        });
+        response.on('end', function () {
+          let json;
+          try {
+            json = JSON.parse(text);
+          } catch (err) {
+            reject(new Error(`${method} ${path} failed: ${response.statusCode} ${response.statusMessage}`));
+            return;
+          }
+          if (response.statusCode < 200 || response.statusCode >= 300) {
+            reject(new Error(`${method} ${path} failed: ${json.errcode} ${json.error}`));
+            return;
+          }
+          resolve(json);
+        });
+        response.on('error', reject);
+      });
+      request.on('error', reject);
+      request.end(data === null ? undefined : data);
+    });
+  }
+
+  sendEvent (roomId, type, content) {
+    const transaction = 'dee' + Date.now() + '.' + this.nextTransaction++;
+    return this.request('PUT', `/v3/rooms/${encode(roomId)}/send/${type}/${transaction}`, content).then((response) => response.event_id);
+  }
+
+  get user () {
+    return new MatrixUser(this, this.userId);
+  }
+
+  // Resolves once the first sync is in, then keeps syncing for as long as Dee runs
+  login () {
+    return this.request('GET', '/v3/account/whoami').then((whoami) => {
+      this.userId = whoami.user_id;
+      return this.sync();
+    }).then(() => {
+      this.emit('ready');
+      this.syncForever();
+    });
+  }
+
+  // The first sync only catches up on the rooms, anything said before Dee started is ignored
+  sync () {
+    const first = this.since === null;
+    const query = first
+      ? '?timeout=0&filter=' + encode(JSON.stringify({room: {timeline: {limit: 1}}}))
+      : '?timeout=' + SYNC_TIMEOUT + '&since=' + encode(this.since);
+    return this.request('GET', '/v3/sync' + query).then((response) => {
+      this.since = response.next_batch;
+      this.handleSync(response, first);
+    });
+  }
+
+  syncForever () {
+    this.sync().catch(function (err) {
+      winston.error(err);
+      return new Promise(function (resolve) {
+        setTimeout(resolve, RETRY_DELAY);
+      });
+    }).then(() => this.syncForever());
+  }
+
+  handleSync (response, first) {
+    const accountData = (response.account_data && response.account_data.events) || [];
+    for (let event of accountData) {
+      if (event.type === 'm.direct') {
+        this.direct = event.content;
+      }
+    }
+    const rooms = response.rooms || {};
+    for (let [roomId, room] of Object.entries(rooms.invite || {})) {
+      this.acceptInvite(roomId, (room.invite_state && room.invite_state.events) || []);
+    }
+    for (let [roomId, room] of Object.entries(rooms.join || {})) {
+      if (!this.rooms.has(roomId)) {
+        this.rooms.set(roomId, {id: roomId, name: null, alias: null, direct: false});
+      }
+      const info = this.rooms.get(roomId);
+      const timeline = (room.timeline && room.timeline.events) || [];
+      const state = ((room.state && room.state.events) || []).concat(timeline.filter((event) => event.state_key !== undefined));
+      for (let event of state) {
+        this.handleState(info, event);
+      }
+      if (!first) {
+        for (let event of timeline) {
+          this.handleEvent(info, event);
+        }
+      }
+    }
+    for (let roomId of Object.keys(rooms.leave || {})) {
+      this.rooms.delete(roomId);
+    }
+  }
+
+  handleState (info, event) {
+    if (event.type === 'm.room.name') {
+      info.name = event.content.name || null;
+    } else if (event.type === 'm.room.canonical_alias') {
+      info.alias = event.content.alias || null;
+    } else if (event.type === 'm.room.member' && event.state_key === this.userId && event.content.is_direct) {
+      info.direct = true;
+    }
+  }
+
+  handleEvent (info, event) {
+    const content = event.content || {};
+    const relation = content['m.relates_to'] || {};
+    if (event.type === 'm.room.message' && content.msgtype === 'm.text' && relation.rel_type !== 'm.replace') {
+      this.emit('message', new MatrixMessage(this, new MatrixChannel(this, info), event));
+    } else if (event.type === 'm.room.message' && relation.rel_type === 'm.replace') {
+      const edited = content['m.new_content'] || {};
+      if (typeof edited.body === 'string') {
+        this.emit('messageUpdate', info.id, relation.event_id, edited.body);
+      }
+    } else if (event.type === 'm.reaction' && relation.rel_type === 'm.annotation') {
+      this.reactionEvents.set(event.event_id, relation.event_id);
+      this.emitReaction('reactionAdd', info, relation.event_id, relation.key, event.sender);
+    } else if (event.type === 'm.room.redaction') {
+      const redacts = event.redacts || content.redacts;
+      const messageId = this.reactionEvents.get(redacts);
+      if (messageId !== undefined) {
+        this.reactionEvents.delete(redacts);
+        this.emitReaction('reactionRemove', info, messageId, null, event.sender);
+      } else {
+        this.emit('messageDelete', info.id, redacts);
+      }
+    }
+  }
+
+  // Fetches the message, so it comes with all its reactions. A redaction doesn't say which emoji it took back.
+  emitReaction (type, info, messageId, emoji, userId) {
+    this.fetchMessage(new MatrixChannel(this, info), messageId).then((message) => {
+      this.emit(type, {emoji: emoji, message: message}, new MatrixUser(this, userId));
+    }).catch(winston.error);
+  }
+
+  acceptInvite (roomId, inviteState) {
+    const direct = inviteState.some((event) => event.type === 'm.room.member' && event.state_key === this.userId && event.content.is_direct);
+    this.request('POST', `/v3/join/${encode(roomId)}`, {}).then(() => {
+      winston.info('Joined Matrix room ' + roomId);
+      if (direct) {
+        const inviter = inviteState.find((event) => event.type === 'm.room.member' && event.state_key === this.userId).sender;
+        this.rememberDirect(inviter, roomId);
+      }
+    }).catch(winston.error);
+  }
+
+  rememberDirect (userId, roomId) {
+    this.direct[userId] = (this.direct[userId] || []).filter((id) => id !== roomId).concat(roomId);
+    return this.request('PUT', `/v3/user/${encode(this.userId)}/account_data/m.direct`, this.direct).catch(winston.error);
+  }
+
+  isDirect (roomId) {
+    const info = this.rooms.get(roomId);
+    return (info !== undefined && info.direct) || Object.values(this.direct).some((roomIds) => roomIds.includes(roomId));
+  }
+
+  // Dee's DM with the user, which is made if they don't have one yet
+  directRoom (userId) {
+    const roomId = (this.direct[userId] || []).find((id) => this.rooms.has(id));
+    if (roomId !== undefined) {
+      return Promise.resolve(new MatrixChannel(this, this.rooms.get(roomId)));
+    }
+    return this.request('POST', '/v3/createRoom', {is_direct: true, invite: [userId], preset: 'trusted_private_chat'}).then((response) => {
+      const info = {id: response.room_id, name: null, alias: null, direct: true};
+      this.rooms.set(info.id, info);
+      this.rememberDirect(userId, info.id);
+      return new MatrixChannel(this, info);
+    });
+  }
+
+  fetchMessage (channel, messageId) {
+    const path = `/rooms/${encode(channel.id)}`;
+    return Promise.all([
+      this.request('GET', `/v3${path}/event/${encode(messageId)}`),
+      this.request('GET', `/v1${path}/relations/${encode(messageId)}/m.annotation?limit=100`),
+      this.getPinned(channel.id)
+    ]).then(([event, relations, pinned]) => {
+      // Each user's reaction counts once per emoji
+      const reacted = {};
+      for (let reaction of relations.chunk) {
+        const key = reaction.content['m.relates_to'].key;
+        reacted[key] = reacted[key] || new Set();
+        reacted[key].add(reaction.sender);
+        this.reactionEvents.set(reaction.event_id, messageId);
+      }
+      const reactions = Object.entries(reacted).map(([emoji, users]) => {
+        return {emoji: emoji, count: users.size, me: users.has(this.userId)};
+      });
+      return new MatrixMessage(this, channel, event, pinned.includes(messageId), reactions);
+    });
+  }
+
+  // Rooms which have never pinned anything don't have the state event
+  getPinned (roomId) {
+    return this.request('GET', `/v3/rooms/${encode(roomId)}/state/m.room.pinned_events`).then(function (state) {
+      return state.pinned || [];
+    }, function () {
+      return [];
+    });
+  }
+
+  setPinned (roomId, messageId, pinned) {
+    return this.getPinned(roomId).then((current) => {
+      const updated = current.filter((id) => id !== messageId).concat(pinned ? [messageId] : []);
+      return this.request('PUT', `/v3/rooms/${encode(roomId)}/state/m.room.pinned_events`, {pinned: updated});
+    });
+  }
+
+  setTyping (roomId, typing) {
+    const body = typing ? {typing: true, timeout: TYPING_TIMEOUT} : {typing: false};
+    this.request('PUT', `/v3/rooms/${encode(roomId)}/typing/${encode(this.userId)}`, body).catch(winston.error);
+  }
+
+  getChannel (channelId) {
+    const info = this.rooms.get(channelId);
+    return info === undefined ? undefined : new MatrixChannel(this, info);
+  }
+
+  fetchUser (userId) {
+    return this.request('GET', `/v3/profile/${encode(userId)}`).then(() => new MatrixUser(this, userId));
+  }
+
+  isAdmin (channel, user) {
+    return this.request('GET', `/v3/rooms/${encode(channel.id)}/state/m.room.power_levels`).then(function (levels) {
+      const users = levels.users || {};
+      const level = users[user.id] !== undefined ? users[user.id] : levels.users_default || 0;
+      return level >= MODERATOR_LEVEL;
+    }).catch(function () {
+      return false;
+    });
+  }
+
+  isMember (channel, user) {
+    return this.request('GET', `/v3/rooms/${encode(channel.id)}/joined_members`).then(function (members) {
+      return members.joined[user.id] !== undefined;
+    }).catch(function () {
+      return false;
+    });
+  }
+
+  channelMention (channelId) {
+    return 'https://matrix.to/#/' + encode(channelId);
+  }
+
+  findChannelMention (text) {
+    const link = /^https:\/\/matrix\.to\/#\/(!|%21)([^/?\s]+)$/.exec(text);
+    return link === null ? text : '!' + decodeURIComponent(link[2]);
+  }
+
+  findEmoji (text) {
+    return text;
+  }
+
+  messageLink (channel, messageId) {
+    return 'https://matrix.to/#/' + encode(channel.id) + '/' + encode(messageId);
+  }
+}
+
+exports.MatrixTransport = MatrixTransport;
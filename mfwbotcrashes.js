@@ -1,13 +1,23 @@
-const tr = require('./translations.json'); // This is probably poor encapsulation, huh?
+const i18n = require('./i18n.js');
+const tr = i18n.translator(i18n.defaultLocale); // This is probably poor encapsulation, huh?
 const schema = require('./schema.json');
+const migrations = require('./migrations.js');
+const backups = require('./backups.js');
 const database = require('./db.js');
+const channelCache = require('./channel_cache.js');
+const holidays = require('./holidays.js');
+const similarity = require('./similarity.js');
 const db_converter = require('./db_converter.js');
 const winston = require('winston');
+const moment = require('moment-timezone');
 
 const channelInfoTableName = 'channelInfo';
+const defaultCronTiming = '0 10,15 * * *';
+const defaultTimezone = 'Pacific/Auckland';
 
 let initialised = false;
 let db;
+let channels;
 
 const init = function (callback) {
   if (initialised) {
@@ -15,13 +25,52 @@ const init = function (callback) {
   }
   initialised = true;
 
-  // Initialize the database and create any tables which do not exist.
-  db = new database.SqliteDatabase('./dmcdata.db', schema);
-  callback();
+  // Back up the database if it's about to be migrated, then create any tables
+  // which do not exist and bring the rest up to date.
+  let pending;
+  try {
+    db = new database.SqliteDatabase('./dmcdata.db');
+    pending = db.pendingMigrations(migrations.migrations);
+  } catch (err) {
+    callback(err);
+    return;
+  }
+  const migrate = function (err) {
+    if (err) {
+      callback(err);
+      return;
+    }
+    try {
+      db.initTables(schema);
+      const applied = db.migrate(migrations.migrations);
+      if (applied.length > 0) {
+        winston.info('Applied database migrations ' + applied.join(', '));
+      }
+      channels = new channelCache.ChannelCache(db, channelInfoTableName);
+    } catch (err) {
+      callback(err);
+      return;
+    }
+    callback();
+  };
+  // A brand new database has nothing to lose
+  if (pending.length === 0 || !db.hasTable(channelInfoTableName)) {
+    migrate(null);
+  } else {
+    backup('before-migration-' + pending[pending.length - 1].version, migrate);
+  }
 };
 
 exports.init = init;
 
+const backup = function (reason, callback) {
+  backups.backup(db, reason, backups.getDir(), backups.getRetention(), callback);
+};
+
+exports.backup = backup;
+
+// Converts the LokiJS database (dmcdata.json) Dee used to keep into SQLite.
+// Schema changes after that are migrations, see migrations.js.
 exports.performDataUpgrade = function (oldDbName, newDbName) {
   winston.info(`Starting migration from ${oldDbName} to ${newDbName}.`)
   const converter = new db_converter.DatabaseConverter(oldDbName, newDbName);
@@ -29,37 +78,34 @@ exports.performDataUpgrade = function (oldDbName, newDbName) {
   winston.info(`Migrated database from ${oldDbName} to ${newDbName}.`);
 };
 
+// Calls back with a copy of the channel's settings and state, and whether it was just added
 exports.getChannelInfo =  function (channelId, isCheck, callback) {
-  const thisChannelInfo =  db.findOne(channelInfoTableName, {'channel': channelId});
-  // const thisChannelInfo = thisChannelInfo.map(v => unescape(v) if typeof(v) === 'string');
+  const thisChannelInfo = channels.row(channelId);
   if (!thisChannelInfo) {
     if (isCheck) {
       callback(null);
     } else {
-      const newChannel = db.insert(channelInfoTableName, {
+      const newChannel = channels.insert({
         'channel': channelId,
         'reactCount': 3,
         'downvoteId': '%E2%AC%87',
         'upvoteId': '%E2%AC%86',
         'questionOfTheDay': null,
-        'nextQuestionToPostId': 1,
-        'nextQuestionToSaveId': 1,
-        'nextShallowQuestionToPostId': 1,
-        'nextShallowQuestionToSaveId': 1,
-        'isQuestionShallow': false,
         'onBreak': null,
-        'activity': {
-          'day-off': 0,
-          'weekend': 0,
-          'long-weekend': 0
-        }
+        'cronTiming': defaultCronTiming,
+        'timezone': defaultTimezone,
+        'holidayRegion': holidays.defaultRegion,
+        'activity_day-off': 0,
+        'activity_weekend': 0,
+        'activity_long-weekend': 0
       });
-      addQuestion(channelId, tr.aSimpleQ1, 0, false, (info) => {
-        if (info && info.changes && info.changes == 1) {
+      addDefaultCategories(channelId);
+      addQuestion(channelId, tr('aSimpleQ1'), 0, 'dmc', (err) => {
+        if (err) {
+          callback(err);
+        } else {
           winston.info('Channel created successfully!');
           callback(newChannel, true);
-        } else {
-          callback(info);
         }
       });
     }
@@ -68,75 +114,701 @@ exports.getChannelInfo =  function (channelId, isCheck, callback) {
   }
 };
 
-// TODO: Remove dependence on questionId (for both shallow and deep question tables).
-// Currently, this relies on no questions being saved at the same time, to return correctly.
-// Instead, this really should be using autoincrement.
-const manuallyIncrement =  function(channelId, field) {
-  const thisChannelInfo =  db.findOne(channelInfoTableName, {'channel': channelId});
-  const questionId = thisChannelInfo[field];
-  const newQuestionId = questionId + 1;
+// Question categories. Every channel starts with deep and meaningful (DMC) and shallow and pointless (SPD)
+// questions and can add its own. Each has its own queue, and scheduled posts take turns between them.
+
+const categoriesTableName = 'categories';
+const questionsTableName = 'question-queue';
+
+const defaultCategories = [
+  {name: 'dmc', aliases: ['d'], label: 'deep and meaningful'},
+  {name: 'spd', aliases: ['s'], label: 'shallow and pointless'}
+];
+
+// Aliases are saved space separated
+const describeCategory = function (row) {
+  row.aliases = row.aliases ? row.aliases.split(' ') : [];
+  row.isCurrent = !!row.isCurrent;
+  return row;
+};
+
+// In rotation order
+const getCategories = function (channelId) {
+  return db.find(categoriesTableName, {'channel': channelId}, {'orderBy': 'position'}).map(describeCategory);
+};
+
+exports.getCategories = getCategories;
+
+const getCategory = function (channelId, name) {
+  const row = db.findOne(categoriesTableName, {'channel': channelId, 'name': name});
+  return row ? describeCategory(row) : null;
+};
+
+exports.getCategory = getCategory;
+
+// By name or alias
+exports.findCategory = function (channelId, alias) {
+  return getCategories(channelId).find(function (category) {
+    return category.name === alias || category.aliases.includes(alias);
+  }) || null;
+};
+
+// Every category in every channel, for working out what a DM might be asking for
+exports.getAllCategories = function () {
+  return db.find(categoriesTableName, {}, {'orderBy': 'position'}).map(describeCategory);
+};
+
+const addCategory = function (channelId, name, label, aliases) {
+  const categories = getCategories(channelId);
+  db.insert(categoriesTableName, {
+    'channel': channelId,
+    'name': name,
+    'aliases': aliases.join(' '),
+    'label': label,
+    'position': categories.length === 0 ? 1 : categories[categories.length - 1].position + 1,
+    'isCurrent': categories.length === 0
+  });
+  winston.info('Category ' + name + ' added to ' + channelId);
+};
+
+exports.addCategory = addCategory;
+
+const addDefaultCategories = function (channelId) {
+  for (let category of defaultCategories) {
+    addCategory(channelId, category.name, category.label, category.aliases);
+  }
+};
+
+// Takes its questions with it. Returns false if there's no such category.
+exports.removeCategory = function (channelId, name) {
+  const category = getCategory(channelId, name);
+  if (!category) {
+    return false;
+  }
+  if (category.isCurrent) {
+    rotateCategory(channelId);
+  }
+  db.delete(questionsTableName, {'channel': channelId, 'category': name});
+  db.delete(categoriesTableName, {'categoryId': category.categoryId});
+  winston.info('Category ' + name + ' removed from ' + channelId);
+  return true;
+};
+
+exports.getCurrentCategory = function (channelId) {
+  const categories = getCategories(channelId);
+  return categories.find(function (category) {
+    return category.isCurrent;
+  }) || categories[0] || null;
+};
+
+// The one after the current category, which the next scheduled post will be from
+const getNextCategory = function (channelId) {
+  const categories = getCategories(channelId);
+  const current = categories.findIndex(function (category) {
+    return category.isCurrent;
+  });
+  return categories[(current + 1) % categories.length] || null;
+};
+
+exports.getNextCategory = getNextCategory;
+
+// Moves the rotation on by one, returning the new current category
+const rotateCategory = function (channelId) {
+  const next = getNextCategory(channelId);
+  if (next) {
+    db.update(categoriesTableName, {'isCurrent': false}, {'channel': channelId});
+    db.update(categoriesTableName, {'isCurrent': true}, {'categoryId': next.categoryId});
+    next.isCurrent = true;
+  }
+  return next;
+};
+
+exports.rotateCategory = rotateCategory;
+
+const addQuestion =  function (channelId, question, author, category, callback) {
+  if (!getCategory(channelId, category)) {
+    const err = new Error('Channel ' + channelId + ' has no ' + category + ' category');
+    winston.error(err);
+    callback(err);
+    return;
+  }
+  // Read the end of the queue and add to it in one go, so two saves can't end up in the same spot
+  let info;
+  try {
+    info = db.transaction(function () {
+      const last = db.findOne(questionsTableName, {'channel': channelId, 'category': category}, {'orderBy': [['position', 'DESC']]});
+      return db.insert(questionsTableName, {
+        'channel': channelId,
+        'category': category,
+        'question': question,
+        'author': author,
+        'status': 'pending',
+        'position': last ? last.position + 1 : 1,
+        'postedAt': null
+      });
+    });
+  } catch (err) {
+    winston.error(err);
+    callback(err);
+    return;
+  }
+  winston.info('Question saved successfully!');
+  callback(null, info);
+};
+
+exports.addQuestion = addQuestion;
+
+// Submissions for channels with a mod channel wait here until someone approves them.
 
-  const valueParam = {};
-  valueParam[field] = newQuestionId;
-  db.update(channelInfoTableName, valueParam, {'channel': channelId});
-  return questionId;
-}
+const pendingTableName = 'pending-questions';
 
-const addQuestion =  function (channelId, question, author, shallow, callback) {
-  const questionTableName = shallow ? 'shallow-questions' : 'questions';
-  const field = shallow ? 'nextShallowQuestionToSaveId' : 'nextQuestionToSaveId';
-  const questionId =  manuallyIncrement(channelId, field);
-  let err = db.insert(questionTableName, {
+exports.addPendingQuestion = function (channelId, question, author, category) {
+  const info = db.insert(pendingTableName, {
     'channel': channelId,
     'question': question,
     'author': author,
-    'questionId': questionId
+    'category': category,
+    'status': 'pending',
+    'modMessageId': null
   });
-  if (err) {
-    console.log(err)
-    callback(err);
+  winston.info('Question waiting for approval!');
+  return info.lastInsertRowid;
+};
+
+exports.getPendingQuestion = function (submissionId) {
+  return db.findOne(pendingTableName, {'submissionId': submissionId});
+};
+
+exports.getPendingQuestions = function (channelId) {
+  return db.find(pendingTableName, {'channel': channelId, 'status': 'pending'});
+};
+
+exports.getPendingQuestionByMessageId = function (messageId) {
+  return db.findOne(pendingTableName, {'modMessageId': messageId});
+};
+
+exports.setPendingMessageId = function (submissionId, messageId) {
+  db.update(pendingTableName, {'modMessageId': messageId}, {'submissionId': submissionId});
+};
+
+exports.editPendingQuestion = function (submissionId, question) {
+  db.update(pendingTableName, {'question': question}, {'submissionId': submissionId});
+};
+
+exports.resolvePendingQuestion = function (submissionId, approved, callback) {
+  const submission = db.findOne(pendingTableName, {'submissionId': submissionId});
+  if (!submission || submission.status !== 'pending') {
+    callback(null);
+    return;
+  }
+  submission.status = approved ? 'approved' : 'rejected';
+  db.update(pendingTableName, {'status': submission.status}, {'submissionId': submissionId});
+  if (approved) {
+    addQuestion(submission.channel, submission.question, submission.author, submission.category, function () {
+      callback(submission);
+    });
   } else {
-    winston.info('Question saved successfully!');
-    callback();
+    callback(submission);
   }
 };
 
-exports.addQuestion = addQuestion;
+// Everything a channel has asked, is going to ask or might ask, to check new submissions against
+exports.findSimilarQuestion = function (channelId, question) {
+  let candidates = db.find(pendingTableName, {'channel': channelId, 'status': 'pending'}).map(function (row) {
+    return {question: row.question, posted: false};
+  });
+  for (let category of getCategories(channelId)) {
+    candidates = candidates.concat(getQuestions(channelId, category.name).map(function (row) {
+      return {question: row.question, posted: row.posted};
+    }));
+  }
+  return similarity.findClosest(question, candidates);
+};
+
+exports.getModChannel = function (channelId) {
+  return channels.get(channelId, 'modChannel');
+};
+
+exports.setModChannel = function (channelId, value) {
+  channels.set(channelId, {'modChannel': value});
+};
+
+// Dated questions wait for their occasion: a day (YYYY-MM-DD), the same day every year (MM-DD), or one of the
+// channel's holidays every year (holiday:<name>). Yearly ones stay queued once they're posted, ready for next year.
+const isYearly = function (occasion) {
+  return occasion !== null && occasion !== undefined && !/^\d{4}-/.test(occasion);
+};
+
+exports.isYearly = isYearly;
 
+// So a yearly question isn't asked twice for the same occasion
+const YEARLY_GAP = 300 * 24 * 60 * 60 * 1000;
+
+const markPosted = function (question) {
+  const posted = {'postedAt': Date.now()};
+  if (!isYearly(question.occasion)) {
+    posted.status = 'posted';
+  }
+  db.update(questionsTableName, posted, {'questionId': question.questionId});
+};
+
+// The questions which come up in turn: undated ones, and only those with the tag during a theme week
+const getDrawable = function (channelId, category, tag) {
+  return getQueued(channelId, category).filter(function (row) {
+    return !row.occasion && (tag === null || row.tags.includes(tag));
+  });
+};
+
+// Scheduled posts (shouldFlip) move on to the next category first, anything else asks from the current one.
+// Theme weeks look through the other categories too, and go back to the usual questions if none have the tag.
+// Calls back with the question, its category and the question after it (or null), or just null if that
+// category has run out.
 exports.getNextQuestion =  function (channelId, check, callback, shouldFlip) {
   winston.info('Getting question for ' + channelId + ', with check as ' + check + ' and shouldFlip as ' + shouldFlip);
-  const thisChannelInfo =  db.findOne('channelInfo', {'channel': channelId});
-  const shallow = shouldFlip ? !thisChannelInfo.isQuestionShallow : thisChannelInfo.isQuestionShallow;
-  const field = shallow ? 'nextShallowQuestionToPostId' : 'nextQuestionToPostId';
-  const questionId = thisChannelInfo[field];
-  const questionTableName = shallow ? 'shallow-questions' : 'questions';
-  const question = db.findOne(questionTableName, {'channel': channelId, 'questionId': questionId});
-  const hasNext = db.findOne(questionTableName, {'channel': channelId, 'questionId': questionId + 1});
-  if (!check && shouldFlip) { // Shouldn't really check and flip
-    flipShallow(channelId);
-  }
-  if (question) {
+  // Moving the rotation on and taking the question off the queue happen together, or not at all
+  const next = db.transaction(function () {
+    let category;
+    if (!shouldFlip) {
+      category = exports.getCurrentCategory(channelId);
+    } else if (check) { // Shouldn't really check and flip
+      category = getNextCategory(channelId);
+    } else {
+      category = rotateCategory(channelId);
+    }
+    if (category === null) {
+      return null;
+    }
+    const theme = getTheme(channelId);
+    let queued = getDrawable(channelId, category.name, theme === null ? null : theme.tag);
+    if (theme !== null && queued.length === 0) {
+      const themed = getCategories(channelId).find(function (other) {
+        return getDrawable(channelId, other.name, theme.tag).length !== 0;
+      });
+      if (themed) {
+        category = themed;
+        queued = getDrawable(channelId, category.name, theme.tag);
+      } else {
+        winston.info('Nothing tagged ' + theme.tag + ' left in ' + channelId + ', asking the usual questions');
+        queued = getDrawable(channelId, category.name, null);
+      }
+    }
+    if (queued.length === 0) {
+      return null;
+    }
     if (!check) {
-       manuallyIncrement(channelId, field);
+      markPosted(queued[0]);
     }
-    callback(question, shallow, hasNext);
+    const hasNext = getDrawable(channelId, category.name, null).find(function (row) {
+      return row.questionId !== queued[0].questionId;
+    });
+    return {question: queued[0], category: category, hasNext: hasNext || null};
+  });
+  if (next) {
+    callback(next.question, next.category, next.hasNext);
   } else {
     callback(null);
   }
 };
 
+// Takes a particular question off the queue to post it now, whatever the rotation says. Returns the question,
+// its category and the question after it in that category (or null), or null if it isn't queued.
+exports.takeQuestion = function (channelId, questionId) {
+  return db.transaction(function () {
+    const question = db.findOne(questionsTableName, {'channel': channelId, 'questionId': questionId, 'status': 'pending'});
+    if (!question) {
+      return null;
+    }
+    markPosted(question);
+    const hasNext = getDrawable(channelId, question.category, null).find(function (row) {
+      return row.questionId !== questionId;
+    });
+    return {question: question, category: getCategory(channelId, question.category), hasNext: hasNext || null};
+  });
+};
+
+// Takes the question for the earliest of the days, if any are waiting for one of them. Days are {date (YYYY-MM-DD),
+// holidays (their names)}, today first. Returns the same as takeQuestion, or null if none are due. Questions for a
+// day before today were missed, so they go back in the queue like any other.
+exports.takeDatedQuestion = function (channelId, days) {
+  const occasions = days.map(function (day) {
+    return [day.date, day.date.substring(5)].concat(day.holidays.map(function (name) {
+      return 'holiday:' + name.toLowerCase();
+    }));
+  });
+  const dueOn = function (row) {
+    return occasions.findIndex(function (dayOccasions) {
+      return dayOccasions.includes(row.occasion);
+    });
+  };
+  return db.transaction(function () {
+    const dated = db.find(questionsTableName, {'channel': channelId, 'status': 'pending'}, {'orderBy': 'position'}).filter(function (row) {
+      return !!row.occasion;
+    });
+    for (let row of dated) {
+      if (!isYearly(row.occasion) && row.occasion < days[0].date) {
+        winston.info('Question ' + row.questionId + ' missed ' + row.occasion + ', putting it back in the queue');
+        db.update(questionsTableName, {'occasion': null}, {'questionId': row.questionId});
+      }
+    }
+    const due = dated.filter(function (row) {
+      return dueOn(row) !== -1 && !(isYearly(row.occasion) && row.postedAt !== null && Date.now() - row.postedAt < YEARLY_GAP);
+    }).sort(function (a, b) {
+      return dueOn(a) - dueOn(b);
+    });
+    return due.length === 0 ? null : exports.takeQuestion(channelId, due[0].questionId);
+  });
+};
+
+// Queue management, for when someone needs to tidy up a channel's questions by hand.
+
+exports.getAllChannelInfo = function () {
+  return channels.all();
+};
+
+// Tags are saved space separated
+const describeQuestion = function (row) {
+  row.posted = row.status === 'posted';
+  row.tags = row.tags ? row.tags.split(' ') : [];
+  return row;
+};
+
+// All of a channel's questions in one category, posted ones first (oldest first) and then the rest
+// in the order they'll be posted, with whether they've been posted yet
+const getQuestions = function (channelId, category) {
+  return db.find(questionsTableName, {'channel': channelId, 'category': category}).map(describeQuestion).sort(function (a, b) {
+    return (b.posted - a.posted) || (a.posted ? a.postedAt - b.postedAt : 0) || (a.position - b.position);
+  });
+};
+
+exports.getQuestions = getQuestions;
+
+// One of a channel's questions in a category, or null if there's no such question
+exports.getQuestion = function (channelId, category, questionId) {
+  const row = db.findOne(questionsTableName, {'channel': channelId, 'category': category, 'questionId': questionId});
+  return row ? describeQuestion(row) : null;
+};
+
+// Dated questions included, even though they don't come up in turn
+const getQueued = function (channelId, category) {
+  return db.find(questionsTableName, {'channel': channelId, 'category': category, 'status': 'pending'}, {'orderBy': 'position'}).map(describeQuestion);
+};
+
+exports.getQueued = getQueued;
+
+exports.countQueued = function (channelId, category) {
+  return db.count(questionsTableName, {'channel': channelId, 'category': category, 'status': 'pending'});
+};
+
+// Position is 1-based, counting from the next question to be posted. Returns false if it isn't queued.
+const moveQuestion = function (channelId, category, questionId, position) {
+  return db.transaction(function () {
+    const queued = getQueued(channelId, category);
+    const index = queued.findIndex(function (row) {
+      return row.questionId === questionId;
+    });
+    if (index === -1) {
+      return false;
+    }
+    // The queue keeps the same spots, just with the questions shuffled around them
+    const positions = queued.map(function (row) {
+      return row.position;
+    });
+    const moving = queued.splice(index, 1)[0];
+    queued.splice(Math.min(Math.max(position, 1), queued.length + 1) - 1, 0, moving);
+    queued.forEach(function (row, i) {
+      if (row.position !== positions[i]) {
+        db.update(questionsTableName, {'position': positions[i]}, {'questionId': row.questionId});
+      }
+    });
+    return true;
+  });
+};
+
+exports.moveQuestion = moveQuestion;
+
+// Returns false if there's no such question.
+const editQuestion = function (channelId, category, questionId, question) {
+  const info = db.update(questionsTableName, {'question': question}, {'channel': channelId, 'category': category, 'questionId': questionId});
+  return info.changes > 0;
+};
+
+exports.editQuestion = editQuestion;
+
+// Occasion is as takeDatedQuestion reads it, or null to put it back in the queue. Returns false if it isn't queued.
+const setQuestionOccasion = function (channelId, questionId, occasion) {
+  const info = db.update(questionsTableName, {'occasion': occasion}, {'channel': channelId, 'questionId': questionId, 'status': 'pending'});
+  return info.changes > 0;
+};
+
+exports.setQuestionOccasion = setQuestionOccasion;
+
+// Returns false if it isn't queued.
+const setQuestionTags = function (channelId, questionId, tags) {
+  const info = db.update(questionsTableName, {'tags': tags.length === 0 ? null : tags.join(' ')}, {'channel': channelId, 'questionId': questionId, 'status': 'pending'});
+  return info.changes > 0;
+};
+
+exports.setQuestionTags = setQuestionTags;
+
+// Makes all of these changes to a question or none of them: {question} edits it, and queued questions can also be
+// given a {position}, {occasion} or {tags} as above. Returns false without changing anything if there's no such
+// question, or it has already been posted and one of the others was given.
+exports.updateQuestion = function (channelId, category, questionId, changes) {
+  return db.transaction(function () {
+    const row = db.findOne(questionsTableName, {'channel': channelId, 'category': category, 'questionId': questionId});
+    const queuedOnly = changes.position !== undefined || changes.occasion !== undefined || changes.tags !== undefined;
+    if (!row || (queuedOnly && row.status !== 'pending')) {
+      return false;
+    }
+    if (changes.question !== undefined) {
+      editQuestion(channelId, category, questionId, changes.question);
+    }
+    if (changes.position !== undefined) {
+      moveQuestion(channelId, category, questionId, changes.position);
+    }
+    if (changes.occasion !== undefined) {
+      setQuestionOccasion(channelId, questionId, changes.occasion);
+    }
+    if (changes.tags !== undefined) {
+      setQuestionTags(channelId, questionId, changes.tags);
+    }
+    return true;
+  });
+};
+
+// Everything a user has sent in, for them to keep track of. Queued questions have their place in line (1 is next
+// in that category), and posted ones their votes, or null if they haven't been tallied yet. Oldest first.
+exports.getQuestionsByAuthor = function (userId) {
+  return db.find(questionsTableName, {'author': userId}, {'orderBy': 'questionId'}).map(function (row) {
+    row.posted = row.status === 'posted';
+    if (row.posted) {
+      const post = db.findOne(postedTableName, {'questionId': row.questionId});
+      row.messageId = post ? post.messageId : null;
+      row.votes = post ? db.findOne(votesTableName, {'postId': post.postId}) || null : null;
+    } else {
+      row.place = getQueued(row.channel, row.category).findIndex(function (queued) {
+        return queued.questionId === row.questionId;
+      }) + 1;
+    }
+    return row;
+  });
+};
+
+// Submissions of the user's that are still waiting on the mods
+exports.getPendingQuestionsByAuthor = function (userId) {
+  return db.find(pendingTableName, {'author': userId, 'status': 'pending'}, {'orderBy': 'submissionId'});
+};
+
+// Authors can only change their own questions, and only before they're posted. Both return false otherwise.
+exports.editOwnQuestion = function (userId, questionId, question) {
+  const info = db.update(questionsTableName, {'question': question}, {'questionId': questionId, 'author': userId, 'status': 'pending'});
+  return info.changes > 0;
+};
+
+exports.withdrawQuestion = function (userId, questionId) {
+  const info = db.delete(questionsTableName, {'questionId': questionId, 'author': userId, 'status': 'pending'});
+  return info.changes > 0;
+};
+
+// Returns false if there's no such question.
+exports.deleteQuestion = function (channelId, category, questionId) {
+  const info = db.delete(questionsTableName, {'channel': channelId, 'category': category, 'questionId': questionId});
+  return info.changes > 0;
+};
+
 exports.getQuestionMessageId = function (channelId) {
-  return db.findOne(channelInfoTableName, {'channel': channelId}).questionOfTheDay;
+  return channels.get(channelId, 'questionOfTheDay');
 };
 
 exports.setQuestionMessageId =  function (channelId, messageId, callback) {
-  const err =  db.update(channelInfoTableName, {'questionOfTheDay': messageId}, {'channel': channelId}); 
-  if (err) {
-    callback(err);
-  } else {
-    console.log('Daily question saved!');
-    callback(messageId);
+  channels.set(channelId, {'questionOfTheDay': messageId});
+  winston.debug('Daily question saved!');
+  callback(messageId);
+};
+
+// Every question Dee has posted, so people can still find (and answer) old ones.
+
+const postedTableName = 'posted-questions';
+
+// QuestionId is the question's id in the queue, if it came from there
+exports.addPostedQuestion = function (channelId, messageId, question, category, questionId = null) {
+  db.insert(postedTableName, {
+    'channel': channelId,
+    'messageId': messageId,
+    'question': question,
+    'category': category,
+    'postedAt': Date.now(),
+    'questionId': questionId
+  });
+};
+
+exports.getPostedQuestionByMessageId = function (messageId) {
+  return db.findOne(postedTableName, {'messageId': messageId});
+};
+
+// Day is YYYY-MM-DD in the channel's timezone. Returned oldest first.
+exports.getPostedQuestionsOn = function (channelId, day) {
+  const timezone = exports.getSchedule(channelId).timezone;
+  return db.find(postedTableName, {'channel': channelId}, {'orderBy': 'postedAt'}).filter(function (posted) {
+    return moment(posted.postedAt).tz(timezone).format('YYYY-MM-DD') === day;
+  });
+};
+
+// The final tally for each posted question, saved when it's replaced. Duration is in milliseconds.
+
+const votesTableName = 'question-votes';
+
+// Returns false if the question's tally was already saved.
+exports.addQuestionVotes = function (posted, up, down, skipped) {
+  if (db.findOne(votesTableName, {'postId': posted.postId})) {
+    return false;
   }
+  db.insert(votesTableName, {
+    'postId': posted.postId,
+    'channel': posted.channel,
+    'question': posted.question,
+    'category': posted.category,
+    'up': up,
+    'down': down,
+    'skipped': skipped,
+    'postedAt': posted.postedAt,
+    'duration': Date.now() - posted.postedAt
+  });
+  return true;
+};
+
+/**
+* Ranks a channel's questions by upvotes less downvotes.
+*
+* @param {string} channelId The channel.
+* @param {?string} category Only questions from the category with this name, or null for all of them.
+* @param {?number} from Only questions posted at or after this time (ms), if given.
+* @param {?number} to Only questions posted before this time (ms), if given.
+* @param {number} limit How many questions to return at each end.
+* @return {!Object} The best and worst questions, each with a score.
+*/
+exports.getLeaderboard = function (channelId, category, from, to, limit) {
+  const where = {'channel': channelId};
+  if (category !== null) {
+    where.category = category;
+  }
+  if (from !== null) {
+    where.postedAt = {'$gte': from};
+  }
+  if (to !== null) {
+    where.postedAt = Object.assign(where.postedAt || {}, {'$lt': to});
+  }
+  const ranked = db.find(votesTableName, where).map(function (row) {
+    return Object.assign(row, {'skipped': !!row.skipped, 'score': row.up - row.down});
+  }).sort(function (a, b) {
+    return b.score - a.score || a.postedAt - b.postedAt;
+  });
+  return {
+    best: ranked.slice(0, limit),
+    worst: ranked.slice().reverse().slice(0, limit)
+  };
+};
+
+// What people said in the channel while each question was up, kept with the question's post for the archive.
+
+const discussionTableName = 'discussion-messages';
+
+// Message is the transport's, posted while the question was up
+exports.addDiscussionMessage = function (posted, message) {
+  if (db.findOne(discussionTableName, {'messageId': message.id})) {
+    return;
+  }
+  db.insert(discussionTableName, {
+    'postId': posted.postId,
+    'channel': posted.channel,
+    'messageId': message.id,
+    'author': message.author.id,
+    'authorName': message.author.name,
+    'content': message.content,
+    'reactions': 0,
+    'createdAt': message.createdTimestamp
+  });
+};
+
+// The archive only keeps what people still have up, so edits and deletes follow them there.
+// Neither does anything if the message isn't part of a discussion.
+exports.editDiscussionMessage = function (channelId, messageId, content) {
+  db.update(discussionTableName, {'content': content}, {'channel': channelId, 'messageId': messageId});
+};
+
+exports.deleteDiscussionMessage = function (channelId, messageId) {
+  db.delete(discussionTableName, {'channel': channelId, 'messageId': messageId});
+};
+
+// Reactions is the total of every emoji. Does nothing if the message isn't part of a discussion.
+exports.setDiscussionReactions = function (messageId, reactions) {
+  db.update(discussionTableName, {'reactions': reactions}, {'messageId': messageId});
+};
+
+// The most reacted to replies (ones nobody reacted to don't count), most first, for a post or anything
+// in the channel since a time (ms)
+const getTopReplies = function (where, limit) {
+  return db.find(discussionTableName, Object.assign({'reactions': {'$gt': 0}}, where), {'orderBy': [['reactions', 'DESC'], ['createdAt', 'ASC']], 'limit': limit});
+};
+
+// How many messages there were, and from how many people
+const countDiscussion = function (postId) {
+  const messages = db.find(discussionTableName, {'postId': postId});
+  return {
+    messages: messages.length,
+    participants: new Set(messages.map(function (row) {
+      return row.author;
+    })).size
+  };
+};
+
+const describePost = function (posted) {
+  const votes = db.findOne(votesTableName, {'postId': posted.postId});
+  return Object.assign(posted, countDiscussion(posted.postId), {
+    'votes': votes ? {'up': votes.up, 'down': votes.down, 'skipped': !!votes.skipped} : null
+  });
+};
+
+/**
+* Lists a channel's posted questions, with how they were voted on (null until the tally's saved) and
+* how much they were talked about.
+*
+* @param {string} channelId The channel.
+* @param {?number} from Only questions posted at or after this time (ms), if given.
+* @param {number} offset How many of the newest to skip.
+* @param {number} limit How many to return.
+* @return {{total: number, posts: !Array<!Object>}} The posts, newest first, and how many there are in all.
+*/
+exports.getArchive = function (channelId, from, offset, limit) {
+  const where = {'channel': channelId};
+  if (from !== null) {
+    where.postedAt = {'$gte': from};
+  }
+  const posts = db.find(postedTableName, where, {'orderBy': [['postedAt', 'DESC'], ['postId', 'DESC']]});
+  return {total: posts.length, posts: posts.slice(offset, offset + limit).map(describePost)};
+};
+
+// One of the channel's posts like getArchive has them, with its top replies, or null if there's no such post
+exports.getArchivedPost = function (channelId, postId, limit) {
+  const posted = db.findOne(postedTableName, {'channel': channelId, 'postId': postId});
+  return posted ? Object.assign(describePost(posted), {'top': getTopReplies({'postId': postId}, limit)}) : null;
+};
+
+exports.getTopRepliesSince = function (channelId, from, limit) {
+  return getTopReplies({'channel': channelId, 'createdAt': {'$gte': from}}, limit);
+};
+
+// Channels with the weekly recap on get one with the first scheduled post a week after the last
+exports.getRecap = function (channelId) {
+  return {on: channels.get(channelId, 'recap') === true, last: channels.get(channelId, 'lastRecap')};
+};
+
+exports.setRecap = function (channelId, on) {
+  channels.set(channelId, {'recap': on, 'lastRecap': Date.now()});
+};
+
+exports.setLastRecap = function (channelId, time) {
+  channels.set(channelId, {'lastRecap': time});
 };
 
 exports.getUserInfo =  function (userId, callback) {
@@ -153,65 +825,156 @@ exports.getUserInfo =  function (userId, callback) {
   }
 };
 
+// Null means the default
+exports.getUserLocale = function (userId) {
+  const user = db.findOne('userInfo', {'user': userId});
+  return user ? user.locale : null;
+};
+
+exports.setUserLocale = function (userId, locale) {
+  db.update('userInfo', {'locale': locale}, {'user': userId});
+};
+
 exports.getAllChannels =  function () {
-  const dataOrErr =  db.find(channelInfoTableName);
-  if (!dataOrErr) {
-    winston.error(dataOrErr);
-    return dataOrErr;
+  return channels.ids();
+};
+
+// Forgets a channel's settings, categories, questions and what people said about them, as if Dee had never been
+// introduced. What she posted there (and how it was voted on) stays for the leaderboard. Returns false if she didn't know it.
+exports.removeChannel = function (channelId) {
+  if (!channels.delete(channelId)) {
+    return false;
   }
-  return dataOrErr.map((document) => {
-    return document.channel;
+  db.transaction(function () {
+    for (let table of [categoriesTableName, questionsTableName, pendingTableName, discussionTableName]) {
+      db.delete(table, {'channel': channelId});
+    }
   });
+  winston.info('Removed channel ' + channelId);
+  return true;
+};
+
+// Any field of channelInfo, as its type (see channel_cache.js). The getters below are shorthand for these.
+exports.getChannelField = function (channelId, field) {
+  return channels.get(channelId, field);
+};
+
+exports.setChannelFields = function (channelId, values) {
+  channels.set(channelId, values);
 };
 
 exports.hasDailyQuestion = function (channelId) {
-  return db.findOne(channelInfoTableName, {'channel': channelId}).questionOfTheDay !== null;
+  return channels.get(channelId, 'questionOfTheDay') !== null;
 };
 
 exports.getAsked = function (channelId) {
-  return db.findOne(channelInfoTableName, {'channel': channelId}).asked;
+  return channels.get(channelId, 'asked');
 };
 
 exports.setAsked = function (channelId, value) {
-  db.update(channelInfoTableName, {'asked': value}, {'channel': channelId});
+  channels.set(channelId, {'asked': value});
 };
 
 exports.getVersionText = function (channelId) {
-  return db.findOne(channelInfoTableName, {'channel': channelId}).versionText;
+  return channels.get(channelId, 'versionText');
 };
 
 exports.setVersionText = function (channelId, value) {
-  db.update(channelInfoTableName, {'versionText': value}, {'channel': channelId});
+  channels.set(channelId, {'versionText': value});
 };
 
-exports.getIsShallow = function (channelId) {
-  return db.findOne(channelInfoTableName, {'channel': channelId}).isQuestionShallow;
+// Channels created before schedules were configurable won't have one saved,
+// so they keep the old 10AM/3PM Auckland timing.
+exports.getSchedule = function (channelId) {
+  return {
+    cronTiming: channels.get(channelId, 'cronTiming') || defaultCronTiming,
+    timezone: channels.get(channelId, 'timezone') || defaultTimezone
+  };
 };
 
-const flipShallow =  function (channelId) {
-  const shallow =  db.findOne(channelInfoTableName, {'channel': channelId}).isQuestionShallow;
-  db.update(channelInfoTableName, {'isQuestionShallow': shallow}, {'channel': channelId});
+exports.setSchedule = function (channelId, cronTiming, timezone) {
+  channels.set(channelId, {'cronTiming': cronTiming, 'timezone': timezone});
 };
 
-exports.flipShallow = flipShallow;
+// Null means the default. Channels Dee hasn't been introduced to (like a mod channel) have the default too.
+exports.getLocale = function (channelId) {
+  return channels.has(channelId) ? channels.get(channelId, 'locale') : null;
+};
 
-// Maybe we should clean this up as a generic getAttribute?
+exports.setLocale = function (channelId, locale) {
+  channels.set(channelId, {'locale': locale});
+};
+
+// Null means the default, like locales
+exports.getPersona = function (channelId) {
+  return channels.has(channelId) ? channels.get(channelId, 'persona') : null;
+};
+
+// A new persona starts from its first activities, since it has its own list of them
+exports.setPersona = function (channelId, persona) {
+  channels.set(channelId, {
+    'persona': persona,
+    'activity_day-off': 0,
+    'activity_weekend': 0,
+    'activity_long-weekend': 0
+  });
+};
+
+// The channel's theme week, {tag, until (ms)}, or null if there isn't one on
+const getTheme = function (channelId) {
+  const tag = channels.get(channelId, 'theme');
+  const until = channels.get(channelId, 'themeUntil');
+  if (tag === null || until === null || until <= Date.now()) {
+    return null;
+  }
+  return {tag: tag, until: until};
+};
+
+exports.getTheme = getTheme;
+
+// Tag null ends it
+exports.setTheme = function (channelId, tag, until) {
+  channels.set(channelId, {'theme': tag, 'themeUntil': tag === null ? null : until});
+};
+
+// Paused channels don't get scheduled posts or breaks
+exports.getPaused = function (channelId) {
+  return channels.get(channelId, 'paused') === true;
+};
+
+exports.setPaused = function (channelId, paused) {
+  channels.set(channelId, {'paused': paused});
+};
+
+// When the channel's CronJob last went off (ms), or null if it hasn't yet
+exports.getLastScheduledRun = function (channelId) {
+  return channels.get(channelId, 'lastScheduledRun');
+};
+
+exports.setLastScheduledRun = function (channelId, time) {
+  channels.set(channelId, {'lastScheduledRun': time});
+};
+
+exports.getHolidayRegion = function (channelId) {
+  return channels.get(channelId, 'holidayRegion') || holidays.defaultRegion;
+};
+
+exports.setHolidayRegion = function (channelId, value) {
+  channels.set(channelId, {'holidayRegion': value});
+};
 
 exports.getOnBreak = function (channelId) {
-  return db.findOne(channelInfoTableName, {'channel': channelId}).onBreak;
+  return channels.get(channelId, 'onBreak');
 };
 
 exports.setOnBreak = function (channelId, value) {
-  db.findOne(channelInfoTableName, {'channel': channelId}).onBreak = value;
-  db.saveDatabase();
+  channels.set(channelId, {'onBreak': value});
 };
 
 exports.getActivityInfo = function (channelId, activity) {
-  const activityName = 'activity_' + activity;
-  return db.findOne(channelInfoTableName, {'channel': channelId})[activityName];
+  return channels.get(channelId, 'activity_' + activity) || 0;
 };
 
 exports.setActivityInfo = function (channelId, activity, value) {
-  const activityName = 'activity_' + activity;
-  db.update(channelInfoTableName, {activityName: value}, {'channel': channelId});
+  channels.set(channelId, {['activity_' + activity]: value});
 };
@@ -0,0 +1,78 @@
+// Changes to the shape of dmcdata.db, run in order by db.migrate when Dee starts up.
+// schema.json still creates any table that's missing, but it can't change a table which
+// already exists, so anything else goes here. Once a migration has been released, leave
+// it alone and add a new one instead. They shouldn't use mfwbotcrashes.js either, since
+// it only knows about the latest schema.
+
+// The categories every channel started out with
+const legacyCategories = [
+  {name: 'dmc', aliases: 'd', label: 'deep and meaningful', table: 'questions', postField: 'nextQuestionToPostId'},
+  {name: 'spd', aliases: 's', label: 'shallow and pointless', table: 'shallow-questions', postField: 'nextShallowQuestionToPostId'}
+];
+
+// Older queues numbered their questions by hand, with a counter for the next one to post.
+// Copies them into the queue in the same order, marking everything before the counter as posted.
+const copyIntoQueue = function (db, channelId, category, rows, nextToPost) {
+  rows.sort(function (a, b) {
+    return a.questionId - b.questionId;
+  }).forEach(function (row) {
+    db.insert('question-queue', {
+      'channel': channelId,
+      'category': category,
+      'question': row.question,
+      'author': row.author,
+      'status': row.questionId < nextToPost ? 'posted' : 'pending',
+      'position': row.questionId,
+      'postedAt': null
+    });
+  });
+};
+
+exports.migrations = [{
+  version: 1,
+  description: 'Add the channelInfo and userInfo columns newer than the original database',
+  up: function (db) {
+    const columns = [
+      ['versionText', 'TEXT'],
+      ['asked', 'BOOLEAN'],
+      ['cronTiming', 'TEXT'],
+      ['timezone', 'TEXT'],
+      ['holidayRegion', 'TEXT'],
+      ['modChannel', 'TEXT'],
+      ['lastScheduledRun', 'INTEGER'],
+      ['locale', 'TEXT'],
+      ['persona', 'TEXT'],
+      ['paused', 'BOOLEAN'],
+      ['theme', 'TEXT'],
+      ['themeUntil', 'INTEGER'],
+      ['recap', 'BOOLEAN'],
+      ['lastRecap', 'INTEGER']
+    ];
+    for (let [column, type] of columns) {
+      db.addColumn('channelInfo', column, type);
+    }
+    db.addColumn('userInfo', 'locale', 'TEXT');
+  }
+}, {
+  version: 2,
+  description: 'Move the DMC and SPD queues over to categories',
+  up: function (db) {
+    for (let channelInfo of db.find('channelInfo')) {
+      const channelId = channelInfo.channel;
+      if (db.findOne('categories', {'channel': channelId})) {
+        continue;
+      }
+      legacyCategories.forEach(function (category, i) {
+        db.insert('categories', {
+          'channel': channelId,
+          'name': category.name,
+          'aliases': category.aliases,
+          'label': category.label,
+          'position': i + 1,
+          'isCurrent': (category.name === 'spd') === Boolean(channelInfo.isQuestionShallow)
+        });
+        copyIntoQueue(db, channelId, category.name, db.find(category.table, {'channel': channelId}), channelInfo[category.postField] || 1);
+      });
+    }
+  }
+}];
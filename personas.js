@@ -0,0 +1,241 @@
+const fs = require('fs');
+const path = require('path');
+const winston = require('winston');
+const i18n = require('./i18n.js');
+
+// Persona packs, so a community can give Dee a different voice without forking her. Each pack is
+// a directory in personas/, named with its id:
+//
+// personas/<id>/persona.json       {"name": "Dee"}, the name it goes by
+// personas/<id>/activities.json    optional, what it gets up to on breaks (see personas/dee)
+// personas/<id>/strings/<locale>.json    optional, any strings from locales/ it says differently
+//
+// Strings the pack leaves out are the usual ones, and can use {persona} for the pack's name.
+// Channels pick a pack with "Dee, persona <id>". Packs are checked as they're loaded, and reloaded
+// whenever anything in personas/ changes. A pack that doesn't pass keeps its last good version.
+//
+// To check the packs without starting Dee:
+// node personas.js
+
+const PERSONAS_DIR = path.join(__dirname, 'personas');
+const DEFAULT_PERSONA = 'dee';
+const BREAK_TYPES = ['day-off', 'weekend', 'long-weekend'];
+const MAX_NAME_LENGTH = 32;
+const RELOAD_DELAY = 500;
+
+let packs = {};
+
+exports.defaultPersona = DEFAULT_PERSONA;
+
+const readJson = function (file, problems) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    problems.push(path.basename(file) + ': ' + err.message);
+    return undefined;
+  }
+};
+
+const checkActivities = function (activities, problems) {
+  if (activities === null || typeof activities !== 'object' || Array.isArray(activities)) {
+    problems.push('activities.json should be an object of ' + BREAK_TYPES.join(', ') + '.');
+    return;
+  }
+  for (let type of Object.keys(activities)) {
+    if (!BREAK_TYPES.includes(type)) {
+      problems.push('activities.json: ' + type + ' isn\'t a kind of break, try ' + BREAK_TYPES.join(', ') + '.');
+    } else if (!Array.isArray(activities[type]) || activities[type].some(function (activity) {
+      return activity === null || typeof activity.activity !== 'string' || typeof activity.outcome !== 'string';
+    })) {
+      problems.push('activities.json: ' + type + ' should be a list of {"activity": ..., "outcome": ...}.');
+    }
+  }
+};
+
+/**
+* Loads a persona pack and checks it over.
+*
+* @param {string} dir The pack's directory.
+* @return {{pack: ?Object, problems: !Array<string>}} The pack (its id, name, activities and strings
+*   by locale), or null along with what was wrong with it.
+*/
+const loadPack = function (dir) {
+  const problems = [];
+  const id = path.basename(dir);
+  if (!/^[a-z][a-z0-9-]{0,19}$/.test(id)) {
+    problems.push('The directory name should start with a letter, and only have lowercase letters, numbers and dashes (20 at most).');
+  }
+
+  const info = readJson(path.join(dir, 'persona.json'), problems);
+  if (info !== undefined && (info === null || typeof info.name !== 'string' || info.name.trim() === '' || info.name.length > MAX_NAME_LENGTH)) {
+    problems.push('persona.json needs a "name", ' + MAX_NAME_LENGTH + ' characters at most.');
+  }
+
+  let activities = {};
+  if (fs.existsSync(path.join(dir, 'activities.json'))) {
+    activities = readJson(path.join(dir, 'activities.json'), problems);
+    if (activities !== undefined) {
+      checkActivities(activities, problems);
+    }
+  }
+
+  const strings = {};
+  const stringsDir = path.join(dir, 'strings');
+  if (fs.existsSync(stringsDir)) {
+    for (let file of fs.readdirSync(stringsDir).filter((name) => path.extname(name) === '.json')) {
+      const locale = i18n.findLocale(path.basename(file, '.json'));
+      if (locale === null) {
+        problems.push('strings/' + file + ': Dee doesn\'t speak that, try ' + i18n.listLocales().join(', ') + '.');
+        continue;
+      }
+      const bundle = readJson(path.join(stringsDir, file), problems);
+      if (bundle !== undefined) {
+        problems.push(...i18n.checkBundle(bundle).map((problem) => 'strings/' + file + ': ' + problem));
+        strings[locale] = bundle;
+      }
+    }
+  }
+
+  if (problems.length > 0) {
+    return {pack: null, problems: problems};
+  }
+  return {pack: {id: id, name: info.name.trim(), activities: activities, strings: strings}, problems: []};
+};
+
+exports.loadPack = loadPack;
+
+const packDirs = function () {
+  return fs.readdirSync(PERSONAS_DIR).map((name) => path.join(PERSONAS_DIR, name)).filter(function (dir) {
+    return fs.statSync(dir).isDirectory();
+  });
+};
+
+/**
+* Loads every pack in personas/ again. Packs with problems are logged and keep their last good
+* version, if they had one.
+*
+* @return {!Object<string, !Array<string>>} What was wrong with each pack that didn't load.
+*/
+const reload = function () {
+  const loaded = {};
+  const failed = {};
+  for (let dir of packDirs()) {
+    const id = path.basename(dir);
+    const result = loadPack(dir);
+    if (result.pack !== null) {
+      loaded[id] = result.pack;
+    } else {
+      failed[id] = result.problems;
+      winston.warn('Persona ' + id + ' didn\'t load:\n' + result.problems.join('\n'));
+      if (packs[id] !== undefined) {
+        loaded[id] = packs[id];
+      }
+    }
+  }
+  if (loaded[DEFAULT_PERSONA] === undefined) {
+    throw new Error('The ' + DEFAULT_PERSONA + ' persona is missing or broken, and everyone falls back to it.');
+  }
+  packs = loaded;
+  winston.info('Loaded personas: ' + Object.keys(packs).sort().join(', '));
+  return failed;
+};
+
+exports.reload = reload;
+
+// Every directory a change to the packs could be in: personas/, each pack and its strings
+const watchedDirs = function () {
+  const dirs = [PERSONAS_DIR];
+  for (let dir of packDirs()) {
+    dirs.push(dir);
+    if (fs.existsSync(path.join(dir, 'strings'))) {
+      dirs.push(path.join(dir, 'strings'));
+    }
+  }
+  return dirs;
+};
+
+/**
+* Reloads shortly after anything in personas/ changes, since saving a pack can touch a few files at once.
+* Linux only has recursive watching from Node 19.1, so each directory gets a watcher of its own, and
+* they're updated whenever a pack comes or goes.
+*
+* @return {function()} Stops watching.
+*/
+exports.watch = function () {
+  const watchers = {};
+  let timer = null;
+
+  const onChange = function () {
+    clearTimeout(timer);
+    timer = setTimeout(function () {
+      try {
+        reload();
+      } catch (err) {
+        winston.error('Couldn\'t reload personas, keeping the old ones: ' + err.message);
+      }
+      try {
+        sync();
+      } catch (err) {
+        winston.error('Couldn\'t watch personas for changes: ' + err.message);
+      }
+    }, RELOAD_DELAY);
+  };
+
+  const unwatch = function (dir) {
+    watchers[dir].close();
+    delete watchers[dir];
+  };
+
+  const sync = function () {
+    const dirs = watchedDirs();
+    for (let dir of Object.keys(watchers).filter((dir) => !dirs.includes(dir))) {
+      unwatch(dir);
+    }
+    for (let dir of dirs.filter((dir) => watchers[dir] === undefined)) {
+      watchers[dir] = fs.watch(dir, onChange);
+      // e.g. the directory was deleted, which the next sync tidies up after
+      watchers[dir].on('error', onChange);
+    }
+  };
+
+  sync();
+  return function () {
+    clearTimeout(timer);
+    Object.keys(watchers).forEach(unwatch);
+  };
+};
+
+exports.listPersonas = function () {
+  return Object.keys(packs).sort().map(function (id) {
+    return {id: id, name: packs[id].name};
+  });
+};
+
+// The pack's id as it's named (so DEE finds dee), or null if there isn't one
+exports.findPersona = function (id) {
+  if (typeof id !== 'string') {
+    return null;
+  }
+  return packs[id.toLowerCase()] !== undefined ? id.toLowerCase() : null;
+};
+
+// Falls back to Dee for null, or a pack that's since been taken away
+exports.getPersona = function (id) {
+  return packs[id] || packs[DEFAULT_PERSONA];
+};
+
+if (require.main === module) {
+  let broken = 0;
+  for (let dir of packDirs()) {
+    const result = loadPack(dir);
+    if (result.pack !== null) {
+      console.log(result.pack.id + ' (' + result.pack.name + ') is good to go');
+    } else {
+      broken++;
+      console.log(path.basename(dir) + ' has problems:\n  ' + result.problems.join('\n  '));
+    }
+  }
+  process.exitCode = broken > 0 ? 1 : 0;
+} else {
+  reload();
+}
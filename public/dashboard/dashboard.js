@@ -0,0 +1,278 @@
+/* global fetch, sessionStorage */
+'use strict';
+
+// Talks to Dee's JSON API (see api.js) with the token kept for the browser session.
+
+const TOKEN_KEY = 'deeApiToken';
+
+const status = document.getElementById('status');
+const channelsElement = document.getElementById('channels');
+const channelTemplate = document.getElementById('channel-template');
+const loginForm = document.getElementById('login');
+const logoutButton = document.getElementById('logout');
+
+function showStatus (text, isError) {
+  status.textContent = text;
+  status.className = isError ? 'error' : '';
+}
+
+async function request (method, path, body) {
+  const options = {
+    method: method,
+    headers: {'Authorization': 'Bearer ' + sessionStorage.getItem(TOKEN_KEY)}
+  };
+  if (body !== undefined) {
+    options.headers['Content-Type'] = 'application/json';
+    options.body = JSON.stringify(body);
+  }
+  const response = await fetch('/api' + path, options);
+  if (response.status === 401) {
+    signOut();
+    throw new Error('That token didn\'t work.');
+  }
+  const result = response.status === 204 ? null : await response.json();
+  if (!response.ok) {
+    throw new Error(result.error);
+  }
+  return result;
+}
+
+// Runs an action, then redraws the channel so what's shown is what Dee has saved
+function act (channelId, action) {
+  return async function (event) {
+    if (event) {
+      event.preventDefault();
+    }
+    try {
+      await action();
+      showStatus('Saved.');
+    } catch (err) {
+      showStatus(err.message, true);
+    }
+    await renderChannel(channelId);
+  };
+}
+
+function button (text, onClick) {
+  const element = document.createElement('button');
+  element.type = 'button';
+  element.textContent = text;
+  element.addEventListener('click', onClick);
+  return element;
+}
+
+function renderQueue (list, channelId, category, questions) {
+  list.textContent = '';
+  const base = '/channels/' + channelId + '/questions/' + category + '/';
+  questions.forEach(function (row, i) {
+    const item = document.createElement('li');
+    const text = document.createElement('span');
+    text.textContent = row.question;
+    item.appendChild(text);
+    if (row.author) {
+      const author = document.createElement('small');
+      author.textContent = ' from ' + row.author;
+      item.appendChild(author);
+    }
+    const controls = document.createElement('span');
+    controls.className = 'controls';
+    controls.appendChild(button('Up', act(channelId, function () {
+      return request('PUT', base + row.questionId, {position: i});
+    })));
+    controls.appendChild(button('Down', act(channelId, function () {
+      return request('PUT', base + row.questionId, {position: i + 2});
+    })));
+    controls.appendChild(button('Edit', act(channelId, function () {
+      const question = window.prompt('Edit question', row.question);
+      return question === null ? Promise.resolve() : request('PUT', base + row.questionId, {question: question});
+    })));
+    controls.appendChild(button('Remove', act(channelId, function () {
+      return window.confirm('Remove "' + row.question + '"?') ? request('DELETE', base + row.questionId) : Promise.resolve();
+    })));
+    item.appendChild(controls);
+    list.appendChild(item);
+  });
+  if (questions.length === 0) {
+    const item = document.createElement('li');
+    item.className = 'empty';
+    item.textContent = 'Nothing queued!';
+    list.appendChild(item);
+  }
+}
+
+function renderPending (list, channelId, submissions) {
+  list.textContent = '';
+  for (let submission of submissions) {
+    const item = document.createElement('li');
+    item.textContent = '#' + submission.submissionId + ' (' + submission.category.toUpperCase() + ') ' + submission.question + ' ';
+    const path = '/channels/' + channelId + '/pending/' + submission.submissionId;
+    item.appendChild(button('Approve', act(channelId, function () {
+      return request('POST', path, {approved: true});
+    })));
+    item.appendChild(button('Reject', act(channelId, function () {
+      const reason = window.prompt('Reason (optional)', '');
+      return reason === null ? Promise.resolve() : request('POST', path, {approved: false, reason: reason || undefined});
+    })));
+    list.appendChild(item);
+  }
+  if (submissions.length === 0) {
+    const item = document.createElement('li');
+    item.className = 'empty';
+    item.textContent = 'Nothing waiting.';
+    list.appendChild(item);
+  }
+}
+
+function renderArchive (list, channelId, posts) {
+  list.textContent = '';
+  for (let post of posts) {
+    const item = document.createElement('li');
+    const votes = post.votes ? ', ⬆ ' + post.votes.up + ' ⬇ ' + post.votes.down : '';
+    item.textContent = new Date(post.postedAt).toLocaleDateString() + ': ' + post.question + ' (' + post.messages + ' messages from ' + post.participants + ' people' + votes + ') ';
+    const replies = document.createElement('ul');
+    item.appendChild(button('Top replies', async function () {
+      try {
+        const archived = await request('GET', '/channels/' + channelId + '/archive/' + post.postId);
+        replies.textContent = '';
+        for (let reply of archived.top) {
+          const replyItem = document.createElement('li');
+          replyItem.textContent = reply.authorName + ' (' + reply.reactions + '): ' + reply.content;
+          replies.appendChild(replyItem);
+        }
+        if (archived.top.length === 0) {
+          const replyItem = document.createElement('li');
+          replyItem.className = 'empty';
+          replyItem.textContent = 'Nobody reacted to any replies.';
+          replies.appendChild(replyItem);
+        }
+      } catch (err) {
+        showStatus(err.message, true);
+      }
+    }));
+    item.appendChild(replies);
+    list.appendChild(item);
+  }
+  if (posts.length === 0) {
+    const item = document.createElement('li');
+    item.className = 'empty';
+    item.textContent = 'Nothing posted yet.';
+    list.appendChild(item);
+  }
+}
+
+async function renderChannel (channelId) {
+  const section = document.getElementById('channel-' + channelId);
+  const base = '/channels/' + channelId;
+  const [channelInfo, today, categories, pending, archive] = await Promise.all([
+    request('GET', base),
+    request('GET', base + '/today'),
+    request('GET', base + '/categories'),
+    request('GET', base + '/pending'),
+    request('GET', base + '/archive?pageSize=10')
+  ]);
+  const queues = await Promise.all(categories.categories.map(function (category) {
+    return request('GET', base + '/questions/' + category.name + '?pageSize=100');
+  }));
+
+  section.querySelector('.channel-name').textContent = channelInfo.discord
+    ? '#' + channelInfo.discord.name + (channelInfo.discord.guild ? ' (' + channelInfo.discord.guild + ')' : '')
+    : channelId + ' (Dee can\'t see this channel)';
+
+  if (today.today) {
+    section.querySelector('.today-question').textContent = today.today.question;
+    section.querySelector('.today-votes').textContent = '⬆ ' + today.today.up + '  ⬇ ' + today.today.down;
+  } else {
+    section.querySelector('.today-question').textContent = today.onBreak ? 'Dee is on a break.' : 'No question up right now.';
+    section.querySelector('.today-votes').textContent = '';
+  }
+  section.querySelector('.break-select').value = channelInfo.onBreak || '';
+
+  const queuesElement = section.querySelector('.queues');
+  queuesElement.textContent = '';
+  categories.categories.forEach(function (category, i) {
+    const queue = document.createElement('div');
+    queue.className = 'queue';
+    const heading = document.createElement('h3');
+    heading.textContent = category.name.toUpperCase() + ' queue (' + category.label + ')' + (category.isCurrent ? ', posting now' : '');
+    const list = document.createElement('ol');
+    queue.appendChild(heading);
+    queue.appendChild(list);
+    queuesElement.appendChild(queue);
+    renderQueue(list, channelId, category.name, queues[i].questions);
+  });
+  renderPending(section.querySelector('.pending ul'), channelId, pending.submissions);
+  renderArchive(section.querySelector('.archive ol'), channelId, archive.posts);
+
+  const settings = section.querySelector('.settings');
+  for (let setting of ['cronTiming', 'timezone', 'holidayRegion', 'modChannel', 'locale', 'persona']) {
+    settings.elements[setting].value = channelInfo[setting] || '';
+  }
+}
+
+function addChannel (channelInfo) {
+  const channelId = channelInfo.channel;
+  const section = channelTemplate.content.firstElementChild.cloneNode(true);
+  section.id = 'channel-' + channelId;
+  channelsElement.appendChild(section);
+
+  section.querySelector('.break-select').addEventListener('change', act(channelId, function () {
+    const value = section.querySelector('.break-select').value;
+    return request('PUT', '/channels/' + channelId + '/break', {onBreak: value === '' ? null : value});
+  }));
+  section.querySelector('.post-now').addEventListener('click', act(channelId, function () {
+    return request('POST', '/channels/' + channelId + '/post');
+  }));
+  const settings = section.querySelector('.settings');
+  settings.addEventListener('submit', act(channelId, function () {
+    const modChannel = settings.elements.modChannel.value.trim();
+    const locale = settings.elements.locale.value.trim();
+    const persona = settings.elements.persona.value.trim();
+    return request('PUT', '/channels/' + channelId + '/settings', {
+      cronTiming: settings.elements.cronTiming.value.trim(),
+      timezone: settings.elements.timezone.value.trim(),
+      holidayRegion: settings.elements.holidayRegion.value.trim(),
+      modChannel: modChannel === '' ? null : modChannel,
+      locale: locale === '' ? null : locale,
+      persona: persona === '' ? null : persona
+    });
+  }));
+  return renderChannel(channelId);
+}
+
+async function load () {
+  channelsElement.textContent = '';
+  const signedIn = sessionStorage.getItem(TOKEN_KEY) !== null;
+  loginForm.hidden = signedIn;
+  logoutButton.hidden = !signedIn;
+  if (!signedIn) {
+    return;
+  }
+  try {
+    showStatus('Loading...');
+    const result = await request('GET', '/channels');
+    await Promise.all(result.channels.map(addChannel));
+    showStatus(result.channels.length === 0 ? 'Dee isn\'t in any channels yet.' : '');
+  } catch (err) {
+    showStatus(err.message, true);
+  }
+}
+
+function signOut () {
+  sessionStorage.removeItem(TOKEN_KEY);
+  loginForm.hidden = false;
+  logoutButton.hidden = true;
+  channelsElement.textContent = '';
+}
+
+loginForm.addEventListener('submit', function (event) {
+  event.preventDefault();
+  sessionStorage.setItem(TOKEN_KEY, loginForm.elements.token.value);
+  loginForm.reset();
+  load();
+});
+logoutButton.addEventListener('click', function () {
+  signOut();
+  showStatus('');
+});
+
+load();
@@ -0,0 +1,376 @@
+const fs = require('fs');
+const path = require('path');
+const winston = require('winston');
+const schema = require('./schema.json');
+const database = require('./db.js');
+const migrations = require('./migrations.js');
+const backups = require('./backups.js');
+const similarity = require('./similarity.js');
+
+// Backs up and seeds a channel's question pool.
+//
+// To run:
+// node question_bank.js export <channelId> [--format json|csv] [--out <file>] [--db ./dmcdata.db]
+// node question_bank.js import <channelId> <file> [--dry-run] [--db ./dmcdata.db]
+//
+// Imported questions go on the end of their category's queue, in their original order, skipping anything
+// already in the pool. Questions marked as posted are kept as history (and not asked again), so importing
+// an export into an empty channel restores it as it was. Categories have to exist in the channel already.
+// Questions keep their occasion (a date like 2021-12-25, a day every year like 12-25, or holiday:<name>)
+// and tags, which are a list in JSON and separated by spaces in CSV. A database that needs migrating is
+// backed up first, the same way Dee does it on startup.
+
+const CSV_COLUMNS = ['category', 'questionId', 'posted', 'author', 'question', 'occasion', 'tags', 'postedAt'];
+const OCCASION_PATTERN = /^(\d{4}-\d{2}-\d{2}|\d{2}-\d{2}|holiday:.+)$/;
+const TAG_PATTERN = /^[a-z0-9-]{1,20}$/;
+
+function readCategories (db, channelId) {
+  return db.find('categories', {'channel': channelId}, {'orderBy': 'position'});
+}
+
+// The same order as the bot's getQuestions. Queued yearly questions can have a postedAt too, which doesn't count.
+function byQueueOrder (a, b) {
+  const posted = (b.status === 'posted') - (a.status === 'posted');
+  return posted || (a.status === 'posted' ? (a.postedAt || 0) - (b.postedAt || 0) : 0) || (a.position - b.position);
+}
+
+/**
+* Reads every question in a channel, posted ones first and then in the order they'll be posted.
+*
+* @param {!SqliteDatabase} db The database to read from.
+* @param {!Array<!Object>} categories The channel's rows in categories.
+* @return {!Array<!Object>} Records with a category, questionId, posted flag, author, question, occasion, tags
+*   and postedAt. Yearly questions stay queued once they're asked, so postedAt keeps them from coming up again too soon.
+*/
+function readQuestions (db, categories) {
+  let records = [];
+  for (let category of categories) {
+    const rows = db.find('question-queue', {'channel': category.channel, 'category': category.name}).sort(byQueueOrder);
+    records = records.concat(rows.map(function (row) {
+      return {
+        category: category.name,
+        questionId: row.questionId,
+        posted: row.status === 'posted',
+        author: row.author === null ? null : String(row.author),
+        question: row.question,
+        occasion: row.occasion,
+        tags: row.tags ? row.tags.split(' ') : [],
+        postedAt: row.postedAt
+      };
+    }));
+  }
+  return records;
+}
+
+function toCsvField (value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+function toCsv (records) {
+  const lines = [CSV_COLUMNS.join(',')].concat(records.map(function (record) {
+    return CSV_COLUMNS.map(function (column) {
+      return toCsvField(column === 'tags' ? record.tags.join(' ') : record[column]);
+    }).join(',');
+  }));
+  return lines.join('\n') + '\n';
+}
+
+// Handles quoted fields with commas, escaped quotes and newlines in them
+function fromCsv (text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length !== 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const header = rows.shift() || [];
+  return rows.filter(function (values) {
+    return values.length > 1 || values[0] !== '';
+  }).map(function (values) {
+    const record = {};
+    header.forEach(function (column, i) {
+      record[column.trim()] = values[i];
+    });
+    record.questionId = record.questionId === undefined || record.questionId === '' ? null : Number(record.questionId);
+    record.posted = record.posted === 'true';
+    record.author = record.author === '' ? null : record.author;
+    // Exports from before questions had occasions and tags won't have the columns
+    record.occasion = record.occasion === undefined || record.occasion === '' ? null : record.occasion;
+    record.tags = record.tags === undefined || record.tags === '' ? [] : record.tags.split(/\s+/);
+    record.postedAt = record.postedAt === undefined || record.postedAt === '' ? null : Number(record.postedAt);
+    return record;
+  });
+}
+
+function readFile (file) {
+  const contents = fs.readFileSync(file, 'utf8');
+  const records = path.extname(file).toLowerCase() === '.csv' ? fromCsv(contents) : JSON.parse(contents);
+  if (!Array.isArray(records)) {
+    throw new Error(file + ' should contain a list of questions');
+  }
+  return records.map(function (record, i) {
+    if (typeof record.category !== 'string' || typeof record.question !== 'string' || record.question.trim() === '') {
+      throw new Error('Question ' + (i + 1) + ' in ' + file + ' needs a category (like dmc or spd) and some question text');
+    }
+    if (record.occasion !== undefined && record.occasion !== null && !OCCASION_PATTERN.test(record.occasion)) {
+      throw new Error('Question ' + (i + 1) + ' in ' + file + ' has an occasion Dee can\'t read: ' + record.occasion);
+    }
+    if (record.tags !== undefined && (!Array.isArray(record.tags) || !record.tags.every((tag) => TAG_PATTERN.test(tag)))) {
+      throw new Error('Question ' + (i + 1) + ' in ' + file + ' should have a list of tags, each lowercase letters, numbers and dashes');
+    }
+    return record;
+  });
+}
+
+/**
+* Works out what an import would do without touching the database.
+*
+* @param {!Array<!Object>} existing The channel's current questions, from readQuestions.
+* @param {!Array<!Object>} records The questions to import.
+* @param {!Array<!Object>} categories The channel's rows in categories.
+* @return {!Object} Per category, the questions to insert and what was skipped.
+*   Questions for categories the channel doesn't have are listed under unknown.
+*/
+function planImport (existing, records, categories) {
+  const names = categories.map(function (category) {
+    return category.name;
+  });
+  const plan = {};
+  for (let category of categories) {
+    const current = existing.filter(function (record) {
+      return record.category === category.name;
+    });
+    // Exports are already in queue order, so keep the file's order
+    const incoming = records.filter(function (record) {
+      return record.category === category.name;
+    });
+    const seen = current.slice();
+    const categoryPlan = {
+      inserts: [],
+      skipped: [],
+      queued: current.filter(function (record) {
+        return !record.posted;
+      }).length
+    };
+
+    for (let record of incoming) {
+      const match = similarity.findClosest(record.question, seen);
+      if (similarity.isDuplicate(match)) {
+        categoryPlan.skipped.push({question: record.question, reason: 'duplicate of "' + match.question + '"'});
+        continue;
+      }
+      categoryPlan.inserts.push({
+        question: record.question,
+        author: record.author === undefined ? null : record.author,
+        posted: !!record.posted,
+        occasion: record.occasion === undefined ? null : record.occasion,
+        tags: record.tags === undefined ? [] : record.tags,
+        postedAt: record.postedAt === undefined ? null : record.postedAt
+      });
+      if (!record.posted) {
+        categoryPlan.queued++;
+      }
+      seen.push({question: record.question});
+    }
+    plan[category.name] = categoryPlan;
+  }
+  const unknown = records.filter(function (record) {
+    return !names.includes(record.category);
+  });
+  return {categories: plan, unknown: unknown};
+}
+
+// All or nothing, and Dee can't add to the queue part way through
+function applyImport (db, channelId, plan) {
+  db.transaction(function () {
+    for (let category in plan.categories) {
+      const last = db.findOne('question-queue', {'channel': channelId, 'category': category}, {'orderBy': [['position', 'DESC']]});
+      let position = last ? last.position : 0;
+      for (let insert of plan.categories[category].inserts) {
+        db.insert('question-queue', {
+          'channel': channelId,
+          'category': category,
+          'question': insert.question,
+          'author': insert.author,
+          'status': insert.posted ? 'posted' : 'pending',
+          'position': ++position,
+          'postedAt': insert.postedAt,
+          'occasion': insert.occasion,
+          'tags': insert.tags.length === 0 ? null : insert.tags.join(' ')
+        });
+      }
+    }
+  });
+}
+
+function printReport (plan, dryRun) {
+  for (let category in plan.categories) {
+    const categoryPlan = plan.categories[category];
+    console.log(category.toUpperCase());
+    console.log('  ' + (dryRun ? 'Would import ' : 'Imported ') + categoryPlan.inserts.length + ' question(s), ' +
+      categoryPlan.inserts.filter(function (insert) { return insert.posted; }).length + ' of them already posted');
+    console.log('  Skipped ' + categoryPlan.skipped.length + ' question(s)');
+    for (let skipped of categoryPlan.skipped) {
+      console.log('    - "' + skipped.question + '": ' + skipped.reason);
+    }
+    console.log('  Questions waiting to be posted: ' + categoryPlan.queued);
+  }
+  if (plan.unknown.length !== 0) {
+    console.log('Skipped ' + plan.unknown.length + ' question(s) for categories this channel doesn\'t have:');
+    for (let record of plan.unknown) {
+      console.log('  - ' + record.category + ': "' + record.question + '"');
+    }
+  }
+}
+
+function parseArgs (argv) {
+  const args = {positional: [], format: null, out: null, db: './dmcdata.db', dryRun: false};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--format') {
+      args.format = argv[++i];
+    } else if (argv[i] === '--out') {
+      args.out = argv[++i];
+    } else if (argv[i] === '--db') {
+      args.db = argv[++i];
+    } else if (argv[i] === '--dry-run') {
+      args.dryRun = true;
+    } else {
+      args.positional.push(argv[i]);
+    }
+  }
+  return args;
+}
+
+function run (db, args) {
+  const command = args.positional[0];
+  const channelId = args.positional[1];
+  const channelInfo = db.findOne('channelInfo', {'channel': channelId});
+  if (!channelInfo) {
+    console.error('Dee doesn\'t know about channel ' + channelId + ' yet, introduce her there first.');
+    return 1;
+  }
+  const categories = readCategories(db, channelId);
+  if (categories.length === 0) {
+    console.error('Channel ' + channelId + ' has no categories to import into.');
+    return 1;
+  }
+  const existing = readQuestions(db, categories);
+
+  if (command === 'export') {
+    const format = args.format || (args.out && path.extname(args.out).toLowerCase() === '.csv' ? 'csv' : 'json');
+    const output = format === 'csv' ? toCsv(existing) : JSON.stringify(existing, null, 2) + '\n';
+    if (args.out) {
+      fs.writeFileSync(args.out, output);
+      console.log('Exported ' + existing.length + ' question(s) to ' + args.out);
+    } else {
+      process.stdout.write(output);
+    }
+    return 0;
+  }
+
+  let records;
+  try {
+    records = readFile(args.positional[2]);
+  } catch (err) {
+    console.error(err.message);
+    return 1;
+  }
+  const plan = planImport(existing, records, categories);
+  if (!args.dryRun) {
+    applyImport(db, channelId, plan);
+  }
+  printReport(plan, args.dryRun);
+  return 0;
+}
+
+function main (argv, done) {
+  const args = parseArgs(argv);
+  const command = args.positional[0];
+  if ((command !== 'export' && command !== 'import') || !args.positional[1] || (command === 'import' && !args.positional[2])) {
+    console.error('Usage:\n' +
+      '  node question_bank.js export <channelId> [--format json|csv] [--out <file>] [--db ./dmcdata.db]\n' +
+      '  node question_bank.js import <channelId> <file> [--dry-run] [--db ./dmcdata.db]');
+    done(1);
+    return;
+  }
+
+  // Keep the query logging out of the way of the report
+  winston.level = 'warn';
+  let db;
+  let pending;
+  try {
+    db = new database.SqliteDatabase(args.db);
+    pending = db.pendingMigrations(migrations.migrations);
+  } catch (err) {
+    console.error(err.message);
+    done(1);
+    return;
+  }
+  const migrate = function (err) {
+    if (err) {
+      console.error(err.message);
+      done(1);
+      return;
+    }
+    try {
+      db.initTables(schema);
+      db.migrate(migrations.migrations);
+    } catch (err) {
+      console.error(err.message);
+      done(1);
+      return;
+    }
+    done(run(db, args));
+  };
+  // A brand new database has nothing to lose
+  if (pending.length === 0 || !db.hasTable('channelInfo')) {
+    migrate(null);
+  } else {
+    backups.backup(db, 'before-migration-' + pending[pending.length - 1].version, backups.getDir(), backups.getRetention(), migrate);
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2), function (code) {
+    process.exitCode = code;
+  });
+}
+
+exports.readQuestions = readQuestions;
+exports.planImport = planImport;
+exports.applyImport = applyImport;
+exports.toCsv = toCsv;
+exports.fromCsv = fromCsv;
+exports.readFile = readFile;
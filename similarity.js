@@ -0,0 +1,91 @@
+// Fuzzy matching for questions, so the same prompt doesn't end up in the pool over and over.
+
+// At or above this, it's the same question with a typo or two and gets turned away
+const DUPLICATE_THRESHOLD = 0.9;
+// At or above this, it's close enough that someone should know about it
+const SIMILAR_THRESHOLD = 0.75;
+
+// Anything that isn't a letter, mark or number in any script. Built from a string
+// because the linter's ecmaVersion predates Unicode property escapes.
+const notLetters = new RegExp('[^\\p{L}\\p{M}\\p{N}\\s]', 'gu');
+
+/**
+* Strips out everything that doesn't change what a question is asking:
+* case, accents, punctuation, emoji and extra whitespace.
+* Letters in any script are kept, so 'What does 愛 mean?' isn't the same as 'What does 恋 mean?'.
+*
+* @param {string} text The question text.
+* @return {string} The normalised text.
+*/
+const normalise = function (text) {
+  const normalised = text.normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    // Other scripts' marks are part of the letter, e.g. the dakuten in が
+    .replace(notLetters, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  // A question that's all emoji would come out empty, so just go by whitespace for those
+  return normalised === '' ? text.replace(/\s+/g, ' ').trim() : normalised;
+};
+
+exports.normalise = normalise;
+
+function bigrams (text) {
+  const counts = {};
+  for (let i = 0; i < text.length - 1; i++) {
+    const bigram = text.substring(i, i + 2);
+    counts[bigram] = (counts[bigram] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+* Sørensen–Dice coefficient over the character pairs of the normalised text.
+* Cheap enough to run against a whole channel's questions on every submission.
+*
+* @param {string} a A question.
+* @param {string} b Another question.
+* @return {number} From 0 (nothing in common) to 1 (the same once normalised).
+*/
+const compare = function (a, b) {
+  const first = normalise(a);
+  const second = normalise(b);
+  if (first === second) {
+    return 1;
+  }
+  if (first.length < 2 || second.length < 2) {
+    return 0;
+  }
+  const firstBigrams = bigrams(first);
+  const secondBigrams = bigrams(second);
+  let overlap = 0;
+  for (let bigram in firstBigrams) {
+    if (secondBigrams[bigram]) {
+      overlap += Math.min(firstBigrams[bigram], secondBigrams[bigram]);
+    }
+  }
+  return 2 * overlap / (first.length - 1 + second.length - 1);
+};
+
+exports.compare = compare;
+
+/**
+* @param {string} text The new question.
+* @param {!Array<!Object>} candidates Existing questions, each with a question property.
+* @return {?Object} The closest candidate with its similarity added, if it's at least similar.
+*/
+exports.findClosest = function (text, candidates) {
+  let closest = null;
+  for (let candidate of candidates) {
+    const similarity = compare(text, candidate.question);
+    if (similarity >= SIMILAR_THRESHOLD && (closest === null || similarity > closest.similarity)) {
+      closest = Object.assign({}, candidate, {similarity: similarity});
+    }
+  }
+  return closest;
+};
+
+exports.isDuplicate = function (match) {
+  return match !== null && match.similarity >= DUPLICATE_THRESHOLD;
+};
@@ -0,0 +1,335 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const fakeClock = require('./fake_clock.js');
+const fakeDiscord = require('./fake_discord.js');
+const transports = require('./transport.js');
+const i18n = require('./i18n.js');
+
+// Runs Dee on your own computer, without Discord. She talks to a fake Discord (fake_discord.js)
+// with one server, #general and #mods channels, and two users: alice (who can change Dee's
+// settings) and bob. Time stands still until it's moved on, so days of posts, votes and breaks
+// can be run through in seconds.
+//
+// To run:
+// node simulator.js                     type commands in, try "help"
+// node simulator.js script.txt          run the commands in a file, one a line (# for comments)
+//
+// Options:
+// --start <time>    when the clock starts, e.g. 2021-06-04T09:00+12:00 (now by default)
+// --db <file>       start from a copy of a database, rather than an empty one
+// --dir <dir>       where to keep the database and logs, a temporary directory by default
+//
+// Channels from the database (with --db, or --dir from an earlier run) are called #channel-<id>.
+//
+// Scripts can check what Dee said with "expect", and stop with an error if she didn't.
+
+const HELP = `Commands:
+  say <user> #<channel> <text>     post in a channel
+  dm <user> <text>                 DM Dee
+  react <user> <message> <emoji>   react to a message, by its id or #<channel> for Dee's latest post there
+  unreact <user> <message> <emoji> take a reaction back
+  edit <message> <text>            change what a message says
+  delete <message>                 delete a message
+  user <name> [admin]              add a user, admins can change Dee's settings
+  channel <name>                   add a channel
+  advance <duration>               move the clock on, e.g. 90s, 45m, 3h, 2d or 1d12h
+  time [when]                      show the time, or move the clock on to a time
+  next                             move the clock on to the next thing Dee has planned
+  expect <text>                    check Dee said something with the text in it since the last command
+  help, quit
+Emoji can be the emoji itself, or up, down, yes or no.
+Every message gives Dee a few (simulated) seconds to answer.`;
+
+// Dee takes a couple of seconds to answer DMs
+const ANSWER_TIME = 5000;
+// Real time (ms) to let Dee finish starting up
+const STARTUP_TIME = 250;
+const EMOJI = {up: '⬆', down: '⬇', yes: '✅', no: '❌'};
+const DURATIONS = {ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000};
+
+function parseArgs (argv) {
+  const args = {script: null, start: null, db: null, dir: null};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--start' || argv[i] === '--db' || argv[i] === '--dir') {
+      args[argv[i].substring(2)] = argv[++i];
+    } else {
+      args.script = argv[i];
+    }
+  }
+  return args;
+}
+
+function parseDuration (text) {
+  const parts = /^(\d+(ms|s|m|h|d|w))+$/.test(text) ? text.match(/\d+(ms|s|m|h|d|w)/g) : null;
+  if (parts === null) {
+    return null;
+  }
+  return parts.reduce(function (total, part) {
+    const [, amount, unit] = /^(\d+)(\w+)$/.exec(part);
+    return total + parseInt(amount) * DURATIONS[unit];
+  }, 0);
+}
+
+class Simulation {
+  constructor (client, guild) {
+    this.client = client;
+    this.guild = guild;
+    this.heard = [];
+    client.output = (event) => {
+      const line = this.describe(event);
+      this.heard.push(line);
+      console.log(line);
+    };
+  }
+
+  describe (event) {
+    const message = event.message;
+    const where = message.channel.type === 'dm' ? '@' + message.channel.recipient.username + ' (DM)' : '#' + message.channel.name;
+    if (event.type === 'send' || event.type === 'edit') {
+      const content = message.content.replace(/\n/g, '\n    ');
+      return `${where} [${message.id}] Dee${event.type === 'edit' ? ' (edited)' : ''}: ${content}`;
+    }
+    if (event.type === 'react') {
+      return `${where} [${message.id}] Dee reacted ${event.emoji}`;
+    }
+    return `${where} [${message.id}] Dee ${event.type}ned it`;
+  }
+
+  findUser (name) {
+    const user = this.client.users.find((user) => user.username.toLowerCase() === String(name).toLowerCase());
+    if (user === undefined || user.bot) {
+      throw new Error(`There's no user called ${name}, add them with "user ${name}".`);
+    }
+    return user;
+  }
+
+  findChannel (name) {
+    const channel = this.guild.channels.find((channel) => '#' + channel.name === String(name).toLowerCase());
+    if (channel === undefined) {
+      throw new Error(`There's no channel ${name}, add it with "channel ${String(name).replace(/^#/, '')}".`);
+    }
+    return channel;
+  }
+
+  findMessage (ref) {
+    if (ref.startsWith('#')) {
+      const mine = this.findChannel(ref).messages.filter((message) => message.author.id === this.client.user.id).array();
+      if (mine.length === 0) {
+        throw new Error(`Dee hasn't posted in ${ref} yet.`);
+      }
+      return mine[mine.length - 1];
+    }
+    for (let channel of this.client.channels.values()) {
+      if (channel.messages.has(ref)) {
+        return channel.messages.get(ref);
+      }
+    }
+    throw new Error(`There's no message ${ref}.`);
+  }
+
+  // Runs one command, resolving to false if it was an expect which didn't pass
+  run (line) {
+    const [command, ...words] = line.trim().split(/\s+/);
+    const rest = line.trim().substring(command.length).trim();
+    if (command === '' || command.startsWith('#')) {
+      return Promise.resolve(true);
+    }
+    if (command !== 'expect') {
+      this.heard = [];
+    }
+    switch (command) {
+      case 'say': {
+        const [name, channel] = words;
+        const text = rest.substring(rest.indexOf(channel) + channel.length).trim();
+        this.findChannel(channel).post(this.findUser(name), text);
+        return fakeClock.advance(ANSWER_TIME).then(() => true);
+      }
+      case 'dm': {
+        const text = rest.substring(words[0].length).trim();
+        this.client.directMessage(this.findUser(words[0]), text);
+        return fakeClock.advance(ANSWER_TIME).then(() => true);
+      }
+      case 'react':
+      case 'unreact': {
+        const [name, ref, emoji] = words;
+        this.findMessage(ref).setReaction(EMOJI[emoji] || emoji, this.findUser(name), command === 'react');
+        return fakeClock.advance(ANSWER_TIME).then(() => true);
+      }
+      case 'edit':
+        this.findMessage(words[0]).edit(rest.substring(words[0].length).trim());
+        return fakeClock.advance(ANSWER_TIME).then(() => true);
+      case 'delete':
+        this.findMessage(words[0]).delete();
+        return fakeClock.advance(ANSWER_TIME).then(() => true);
+      case 'user':
+        this.client.addUser(words[0], words[1] === 'admin' ? ['MANAGE_GUILD'] : []);
+        return Promise.resolve(true);
+      case 'channel':
+        this.client.addChannel(this.guild, words[0].replace(/^#/, '').toLowerCase());
+        return Promise.resolve(true);
+      case 'advance': {
+        const duration = parseDuration(words[0]);
+        if (duration === null) {
+          throw new Error(`Try a duration like 90s, 45m, 3h, 2d or 1d12h.`);
+        }
+        return fakeClock.advance(duration).then(() => this.showTime());
+      }
+      case 'time': {
+        if (rest === '') {
+          return Promise.resolve(this.showTime());
+        }
+        const when = new Date(rest).getTime();
+        if (isNaN(when) || when < fakeClock.now()) {
+          throw new Error(`Try a time after ${new Date(fakeClock.now()).toISOString()}, like 2021-06-04T15:00+12:00. The clock only goes forward.`);
+        }
+        return fakeClock.advance(when - fakeClock.now()).then(() => this.showTime());
+      }
+      case 'next': {
+        const due = fakeClock.nextDue();
+        if (due === null) {
+          throw new Error('Dee doesn\'t have anything planned.');
+        }
+        return fakeClock.advance(due - fakeClock.now()).then(() => this.showTime());
+      }
+      case 'expect':
+        if (this.heard.some((heard) => heard.toLowerCase().includes(rest.toLowerCase()))) {
+          return Promise.resolve(true);
+        }
+        console.log(`Expected Dee to say "${rest}", but she didn't.`);
+        return Promise.resolve(false);
+      case 'help':
+        console.log(HELP);
+        return Promise.resolve(true);
+      default:
+        throw new Error(`I don't know "${command}", try "help".`);
+    }
+  }
+
+  showTime () {
+    console.log('It\'s now ' + new Date(fakeClock.now()).toString());
+    return true;
+  }
+}
+
+function runScript (simulation, file, done) {
+  const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/);
+  const next = function (i) {
+    if (i === lines.length) {
+      done(0);
+      return;
+    }
+    if (lines[i].trim() !== '' && !lines[i].trim().startsWith('#')) {
+      console.log('> ' + lines[i].trim());
+    }
+    let result;
+    try {
+      result = simulation.run(lines[i]);
+    } catch (err) {
+      console.log(`Line ${i + 1}: ${err.message}`);
+      done(1);
+      return;
+    }
+    result.then(function (passed) {
+      if (passed) {
+        next(i + 1);
+      } else {
+        console.log(`Line ${i + 1} of ${file} failed.`);
+        done(1);
+      }
+    });
+  };
+  next(0);
+}
+
+function runRepl (simulation, done) {
+  const rl = readline.createInterface({input: process.stdin, output: process.stdout, prompt: 'dee> '});
+  let queue = Promise.resolve();
+  rl.on('line', function (line) {
+    queue = queue.then(function () {
+      if (line.trim() === 'quit') {
+        rl.close();
+        return;
+      }
+      try {
+        return simulation.run(line).then(function () {
+          rl.prompt();
+        });
+      } catch (err) {
+        console.log(err.message);
+        rl.prompt();
+      }
+    });
+  });
+  rl.on('close', function () {
+    queue.then(function () {
+      done(0);
+    });
+  });
+  console.log('Dee\'s ready! Try "help", or introduce her with:\nsay alice #general ' + i18n.translator(null)('introduceYourself'));
+  rl.prompt();
+}
+
+function main (argv) {
+  const args = parseArgs(argv);
+  const start = args.start === null ? Date.now() : new Date(args.start).getTime();
+  if (isNaN(start)) {
+    console.error(`Can't start the clock at ${args.start}, try something like 2021-06-04T09:00+12:00.`);
+    process.exitCode = 1;
+    return;
+  }
+
+  // Dee keeps her database and logs in the working directory
+  const dir = args.dir === null ? fs.mkdtempSync(path.join(os.tmpdir(), 'dee-simulator-')) : path.resolve(args.dir);
+  fs.mkdirSync(dir, {recursive: true});
+  if (args.db !== null) {
+    fs.copyFileSync(args.db, path.join(dir, 'dmcdata.db'));
+  }
+  const script = args.script === null ? null : path.resolve(args.script);
+  process.chdir(dir);
+  const finish = function (code) {
+    if (args.dir === null) {
+      fs.rmSync(dir, {recursive: true, force: true});
+    }
+    process.exit(code);
+  };
+
+  process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+  process.env.PORT = process.env.PORT || '0';
+  fakeClock.install(start);
+  const client = new fakeDiscord.Client();
+  // The fake is Discord's, whatever Dee's usually run with
+  transports.preset({transport: 'discord', discordClient: client});
+  require('./index.js');
+  const pers = require('./mfwbotcrashes.js');
+  const guild = client.addGuild('Simulated Server');
+  const simulation = new Simulation(client, guild);
+
+  // Gives Dee a moment to open the database. Channels she already knows about (from --db or --dir)
+  // are called #channel-<id>, and new ids start after theirs so they can't be mixed up.
+  fakeClock.settle().then(function () {
+    const known = pers.getAllChannelInfo();
+    fakeDiscord.reserveIds(known.map((channelInfo) => channelInfo.channel).concat(known.map((channelInfo) => channelInfo.questionOfTheDay || '')));
+    for (let channelInfo of known) {
+      client.addChannel(guild, 'channel-' + channelInfo.channel, channelInfo.channel);
+    }
+    client.addChannel(guild, 'general');
+    client.addChannel(guild, 'mods');
+    client.addUser('alice', ['MANAGE_GUILD']);
+    client.addUser('bob');
+    client.emit('ready');
+    // Dee reads her release notes when she's ready, and that has to finish before anything happens
+    return fakeClock.settle().then(() => fakeClock.waitReal(STARTUP_TIME)).then(fakeClock.settle);
+  }).then(function () {
+    if (script === null) {
+      runRepl(simulation, finish);
+    } else {
+      runScript(simulation, script, finish);
+    }
+  });
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2));
+}
@@ -0,0 +1,117 @@
+const assert = require('assert');
+const express = require('express');
+const http = require('http');
+const api = require('../api.js');
+const support = require('./support.js');
+
+const TOKEN = 'test-token';
+
+// Runs a test against the API on a free port, with none of the bot's own actions
+async function withApi (token, test) {
+  const app = express();
+  app.use('/api', api.createRouter(token, {}));
+  const server = await new Promise(function (resolve) {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  try {
+    await test(server.address().port);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+function call (port, method, path, body, token = TOKEN) {
+  return new Promise(function (resolve, reject) {
+    const headers = {};
+    if (token !== null) {
+      headers['Authorization'] = 'Bearer ' + token;
+    }
+    if (body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+    }
+    const request = http.request({host: '127.0.0.1', port: port, method: method, path: '/api' + path, headers: headers}, function (response) {
+      let text = '';
+      response.setEncoding('utf8');
+      response.on('data', chunk => { text += chunk; });
+      response.on('end', () => resolve({status: response.statusCode, body: text ? JSON.parse(text) : null}));
+    });
+    request.on('error', reject);
+    request.end(body === undefined ? undefined : JSON.stringify(body));
+  });
+}
+
+exports['requests without the right token are turned away'] = async function () {
+  await support.pers();
+  await withApi(TOKEN, async function (port) {
+    assert.strictEqual((await call(port, 'GET', '/channels', undefined, null)).status, 401);
+    assert.strictEqual((await call(port, 'GET', '/channels', undefined, 'wrong-token')).status, 401);
+    assert.strictEqual((await call(port, 'GET', '/channels', undefined, TOKEN + 'x')).status, 401);
+    assert.strictEqual((await call(port, 'GET', '/channels')).status, 200);
+  });
+  await withApi(undefined, async function (port) {
+    assert.strictEqual((await call(port, 'GET', '/channels')).status, 503);
+  });
+};
+
+exports['questions are listed a page at a time'] = async function () {
+  const pers = await support.pers();
+  await support.newChannel(pers, 'api-1');
+  await withApi(TOKEN, async function (port) {
+    for (let i = 1; i <= 5; i++) {
+      assert.strictEqual((await call(port, 'POST', '/channels/api-1/questions/spd', {question: 'Question ' + i})).status, 201);
+    }
+    const page = await call(port, 'GET', '/channels/api-1/questions/spd?page=2&pageSize=2');
+    assert.strictEqual(page.status, 200);
+    assert.strictEqual(page.body.total, 5);
+    assert.strictEqual(page.body.page, 2);
+    assert.deepStrictEqual(page.body.questions.map(question => question.question), ['Question 3', 'Question 4']);
+    const last = await call(port, 'GET', '/channels/api-1/questions/spd?page=3&pageSize=2');
+    assert.deepStrictEqual(last.body.questions.map(question => question.question), ['Question 5']);
+    assert.strictEqual((await call(port, 'GET', '/channels/api-1/questions/nope')).status, 404);
+    assert.strictEqual((await call(port, 'GET', '/channels/api-missing/questions/spd')).status, 404);
+  });
+};
+
+exports['questions can be added, moved and deleted'] = async function () {
+  const pers = await support.pers();
+  await support.newChannel(pers, 'api-2');
+  await withApi(TOKEN, async function (port) {
+    const first = await call(port, 'POST', '/channels/api-2/questions/spd', {question: 'First?', author: 'someone'});
+    assert.strictEqual(first.status, 201);
+    assert.strictEqual(first.body.question, 'First?');
+    assert.strictEqual(first.body.author, 'someone');
+    assert.strictEqual(first.body.category, 'spd');
+    const second = await call(port, 'POST', '/channels/api-2/questions/spd', {question: 'Second?'});
+    assert.strictEqual(second.body.question, 'Second?');
+    assert.notStrictEqual(second.body.questionId, first.body.questionId);
+    assert.strictEqual((await call(port, 'POST', '/channels/api-2/questions/spd', {question: ' '})).status, 400);
+
+    const questionsPath = '/channels/api-2/questions/spd';
+    assert.strictEqual((await call(port, 'PUT', questionsPath + '/' + second.body.questionId, {position: 1})).status, 204);
+    const moved = await call(port, 'GET', questionsPath);
+    assert.deepStrictEqual(moved.body.questions.map(question => question.question), ['Second?', 'First?']);
+
+    assert.strictEqual((await call(port, 'DELETE', questionsPath + '/' + first.body.questionId)).status, 204);
+    assert.strictEqual((await call(port, 'DELETE', questionsPath + '/' + first.body.questionId)).status, 404);
+    const remaining = await call(port, 'GET', questionsPath);
+    assert.deepStrictEqual(remaining.body.questions.map(question => question.question), ['Second?']);
+  });
+};
+
+exports['breaks can be started and ended'] = async function () {
+  const pers = await support.pers();
+  await support.newChannel(pers, 'api-3');
+  await withApi(TOKEN, async function (port) {
+    const started = await call(port, 'PUT', '/channels/api-3/break', {onBreak: 'weekend'});
+    assert.strictEqual(started.status, 200);
+    assert.deepStrictEqual(started.body, {onBreak: 'weekend'});
+    assert.strictEqual(pers.getChannelField('api-3', 'onBreak'), 'weekend');
+
+    assert.strictEqual((await call(port, 'PUT', '/channels/api-3/break', {onBreak: 'holiday'})).status, 400);
+    assert.strictEqual(pers.getChannelField('api-3', 'onBreak'), 'weekend');
+
+    const ended = await call(port, 'PUT', '/channels/api-3/break', {onBreak: null});
+    assert.deepStrictEqual(ended.body, {onBreak: null});
+    assert.strictEqual(pers.getChannelField('api-3', 'onBreak'), null);
+  });
+};
@@ -0,0 +1,80 @@
+const assert = require('assert');
+const support = require('./support.js');
+
+// A reply the way the transports hand them over
+function reply (id, authorId, content, createdTimestamp) {
+  return {id: id, author: {id: authorId, name: 'Person ' + authorId}, content: content, createdTimestamp: createdTimestamp};
+}
+
+// A posted question with three replies, two of them reacted to
+async function discussedPost (channelId) {
+  const pers = await support.pers();
+  await support.newChannel(pers, channelId);
+  pers.addPostedQuestion(channelId, channelId + '-question', 'What\'s for dinner?', 'dmc');
+  const posted = pers.getPostedQuestionByMessageId(channelId + '-question');
+  pers.addDiscussionMessage(posted, reply(channelId + '-1', 'a', 'Pasta', 1000));
+  pers.addDiscussionMessage(posted, reply(channelId + '-2', 'b', 'Soup', 2000));
+  pers.addDiscussionMessage(posted, reply(channelId + '-3', 'a', 'Or pizza', 3000));
+  pers.setDiscussionReactions(channelId + '-1', 2);
+  pers.setDiscussionReactions(channelId + '-2', 5);
+  return {pers, posted};
+}
+
+exports['edited replies are edited in the archive'] = async function () {
+  const {pers, posted} = await discussedPost('archive-1');
+  pers.editDiscussionMessage('archive-1', 'archive-1-2', 'Soup, definitely');
+  const post = pers.getArchivedPost('archive-1', posted.postId, 5);
+  assert.deepStrictEqual(post.top.map(row => [row.content, row.reactions]), [['Soup, definitely', 5], ['Pasta', 2]]);
+  assert.strictEqual(pers.getTopRepliesSince('archive-1', 0, 1)[0].content, 'Soup, definitely');
+};
+
+exports['deleted replies leave the archive'] = async function () {
+  const {pers, posted} = await discussedPost('archive-2');
+  pers.deleteDiscussionMessage('archive-2', 'archive-2-2');
+  const post = pers.getArchivedPost('archive-2', posted.postId, 5);
+  assert.deepStrictEqual(post.top.map(row => row.content), ['Pasta']);
+  assert.deepStrictEqual([post.messages, post.participants], [2, 1]);
+  assert.deepStrictEqual(pers.getTopRepliesSince('archive-2', 0, 5).map(row => row.content), ['Pasta']);
+};
+
+exports['edits and deletes elsewhere leave the archive alone'] = async function () {
+  const {pers, posted} = await discussedPost('archive-3');
+  // Messages that weren't part of a discussion, and one from another channel with the same id
+  pers.editDiscussionMessage('archive-3', 'not-a-reply', 'Hello');
+  pers.deleteDiscussionMessage('archive-3', 'not-a-reply');
+  pers.editDiscussionMessage('archive-elsewhere', 'archive-3-1', 'Changed');
+  pers.deleteDiscussionMessage('archive-elsewhere', 'archive-3-2');
+  const post = pers.getArchivedPost('archive-3', posted.postId, 5);
+  assert.deepStrictEqual(post.top.map(row => row.content), ['Soup', 'Pasta']);
+  assert.deepStrictEqual([post.messages, post.participants], [3, 2]);
+};
+
+exports['the recap only looks back to the time it\'s given'] = async function () {
+  const {pers} = await discussedPost('archive-4');
+  assert.deepStrictEqual(pers.getTopRepliesSince('archive-4', 2000, 5).map(row => row.content), ['Soup']);
+  assert.deepStrictEqual(pers.getTopRepliesSince('archive-4', 2001, 5), []);
+};
+
+exports['recaps start a week from being turned on'] = async function () {
+  const pers = await support.pers();
+  await support.newChannel(pers, 'archive-5');
+  assert.deepStrictEqual(pers.getRecap('archive-5'), {on: false, last: null});
+  const before = Date.now();
+  pers.setRecap('archive-5', true);
+  const recap = pers.getRecap('archive-5');
+  assert.strictEqual(recap.on, true);
+  assert.ok(recap.last >= before && recap.last <= Date.now());
+  pers.setLastRecap('archive-5', 1234);
+  assert.deepStrictEqual(pers.getRecap('archive-5'), {on: true, last: 1234});
+};
+
+exports['replies are kept until Dee leaves the channel'] = async function () {
+  const {pers, posted} = await discussedPost('archive-6');
+  // Nothing is cleared out by age, these are from 1970
+  assert.strictEqual(pers.getArchivedPost('archive-6', posted.postId, 5).messages, 3);
+  assert.strictEqual(pers.removeChannel('archive-6'), true);
+  assert.deepStrictEqual(pers.getTopRepliesSince('archive-6', 0, 5), []);
+  // What she posted stays for the leaderboard, without what people said about it
+  const post = pers.getArchivedPost('archive-6', posted.postId, 5);
+  assert.deepStrictEqual([post.question, post.messages, post.top], ['What\'s for dinner?', 0, []]);
+};
@@ -0,0 +1,110 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const database = require('../db.js');
+const migrations = require('../migrations.js').migrations;
+const schema = require('../schema.json');
+const backups = require('../backups.js');
+
+function tempDir () {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'dee-backups-'));
+}
+
+// A migrated database on disk with one channel in it
+function makeDatabase (file, channelId) {
+  const db = new database.SqliteDatabase(file, schema);
+  db.migrate(migrations);
+  db.insert('channelInfo', {'channel': channelId});
+  return db;
+}
+
+function backup (db, reason, dir, retention) {
+  return new Promise(function (resolve, reject) {
+    backups.backup(db, reason, dir, retention, (err, file) => err ? reject(err) : resolve(file));
+  });
+}
+
+function restore (file, dbFile, dir) {
+  return new Promise(function (resolve) {
+    backups.restore(file, dbFile, dir, (err, replaced) => resolve({err, replaced}));
+  });
+}
+
+function channelsIn (file) {
+  const db = new database.SqliteDatabase(file);
+  try {
+    return db.find('channelInfo').map(row => row.channel);
+  } finally {
+    db.close();
+  }
+}
+
+exports['retention only counts backups taken for the same reason'] = async function () {
+  const dir = tempDir();
+  const older = ['scheduled', 'scheduled', 'scheduled', 'before-migration-2', 'before-restore', 'manual'];
+  older.forEach(function (reason, i) {
+    fs.writeFileSync(path.join(dir, 'dmcdata-2020-01-0' + (i + 1) + 'T04-00-00-000Z-' + reason + '.db'), '');
+  });
+  const db = makeDatabase(path.join(tempDir(), 'dmcdata.db'), 'c');
+  try {
+    const file = await backup(db, 'scheduled', dir, 2);
+    assert.strictEqual(backups.getReason(file), 'scheduled');
+  } finally {
+    db.close();
+  }
+  const kept = backups.listBackups(dir).map(backups.getReason);
+  assert.deepStrictEqual(kept, ['scheduled', 'manual', 'before-restore', 'before-migration-2', 'scheduled']);
+  assert.ok(!fs.existsSync(path.join(dir, 'dmcdata-2020-01-01T04-00-00-000Z-scheduled.db')));
+  assert.ok(!fs.existsSync(path.join(dir, 'dmcdata-2020-01-02T04-00-00-000Z-scheduled.db')));
+};
+
+exports['restoring swaps the backup in and keeps the database it replaced'] = async function () {
+  const dir = tempDir();
+  const dbFile = path.join(dir, 'dmcdata.db');
+  const db = makeDatabase(dbFile, 'before');
+  let file;
+  try {
+    file = await backup(db, 'manual', path.join(dir, 'backups'), 14);
+    db.insert('channelInfo', {'channel': 'after'});
+  } finally {
+    db.close();
+  }
+  const {err, replaced} = await restore(file, dbFile, path.join(dir, 'backups'));
+  assert.ifError(err);
+  assert.deepStrictEqual(channelsIn(dbFile), ['before']);
+  assert.strictEqual(backups.getReason(replaced), 'before-restore');
+  assert.deepStrictEqual(channelsIn(replaced), ['before', 'after']);
+};
+
+exports['damaged backups are not restored'] = async function () {
+  const dir = tempDir();
+  const dbFile = path.join(dir, 'dmcdata.db');
+  makeDatabase(dbFile, 'kept').close();
+  const damaged = path.join(dir, 'dmcdata-2020-01-01T04-00-00-000Z-manual.db');
+  fs.writeFileSync(damaged, 'this is not a database, just some text that is long enough to look like one');
+
+  const {err} = await restore(damaged, dbFile, path.join(dir, 'backups'));
+  assert.ok(err instanceof Error);
+  assert.ok(err.message.includes('can\'t be restored'));
+  assert.deepStrictEqual(channelsIn(dbFile), ['kept']);
+  assert.deepStrictEqual(backups.listBackups(path.join(dir, 'backups')), []);
+
+  const missing = await restore(path.join(dir, 'nothing-here.db'), dbFile, path.join(dir, 'backups'));
+  assert.ok(missing.err.message.includes('There\'s no file'));
+};
+
+exports['backups from a newer version of Dee are not restored'] = async function () {
+  const dir = tempDir();
+  const dbFile = path.join(dir, 'dmcdata.db');
+  makeDatabase(dbFile, 'kept').close();
+  const newer = path.join(dir, 'newer.db');
+  const db = makeDatabase(newer, 'newer');
+  db.insert('schema_migrations', {'version': migrations.length + 100, 'description': 'From the future', 'appliedAt': 0});
+  db.close();
+
+  const {err} = await restore(newer, dbFile, path.join(dir, 'backups'));
+  assert.ok(err instanceof Error);
+  assert.ok(err.message.includes('newer version of Dee'));
+  assert.deepStrictEqual(channelsIn(dbFile), ['kept']);
+};
@@ -0,0 +1,69 @@
+const assert = require('assert');
+const database = require('../db.js');
+const migrations = require('../migrations.js').migrations;
+const schema = require('../schema.json');
+const channelCache = require('../channel_cache.js');
+
+function withChannels () {
+  const db = new database.SqliteDatabase(':memory:', schema);
+  db.migrate(migrations);
+  return db;
+}
+
+exports['fields come back as their real types'] = () => {
+  const db = withChannels();
+  // The way older versions of Dee saved them: onBreak was declared a boolean, and booleans are 1 and 0
+  db.insert('channelInfo', {'channel': 'c', 'reactCount': 3, 'onBreak': true, 'asked': 1, 'paused': 0, 'recap': null});
+  const cache = new channelCache.ChannelCache(db);
+  assert.strictEqual(cache.get('c', 'onBreak'), '1');
+  assert.strictEqual(cache.get('c', 'asked'), true);
+  assert.strictEqual(cache.get('c', 'paused'), false);
+  assert.strictEqual(cache.get('c', 'recap'), null);
+  assert.strictEqual(cache.get('c', 'reactCount'), 3);
+  assert.strictEqual(cache.get('c', 'timezone'), null);
+};
+
+exports['writes go to the database as well as the cache'] = () => {
+  const db = withChannels();
+  const cache = new channelCache.ChannelCache(db);
+  const inserted = cache.insert({'channel': 'c', 'reactCount': 3});
+  // Columns the insert left out are read back too
+  assert.strictEqual(inserted.timezone, null);
+  assert.ok(cache.has('c'));
+
+  cache.set('c', {'onBreak': 'weekend', 'asked': true, 'lastRecap': 1000});
+  assert.deepStrictEqual([cache.get('c', 'onBreak'), cache.get('c', 'asked'), cache.get('c', 'lastRecap')], ['weekend', true, 1000]);
+  const reloaded = new channelCache.ChannelCache(db);
+  assert.deepStrictEqual(reloaded.row('c'), cache.row('c'));
+
+  assert.strictEqual(cache.delete('c'), true);
+  assert.strictEqual(cache.delete('c'), false);
+  assert.strictEqual(db.findOne('channelInfo', {'channel': 'c'}), undefined);
+};
+
+exports['rows handed out are copies'] = () => {
+  const db = withChannels();
+  const cache = new channelCache.ChannelCache(db);
+  cache.insert({'channel': 'c', 'cronTiming': '0 10 * * *'});
+  cache.row('c').cronTiming = 'changed';
+  cache.all()[0].cronTiming = 'changed';
+  assert.strictEqual(cache.get('c', 'cronTiming'), '0 10 * * *');
+};
+
+exports['bad writes leave the database and cache as they were'] = () => {
+  const db = withChannels();
+  const cache = new channelCache.ChannelCache(db);
+  cache.insert({'channel': 'c', 'reactCount': 3});
+  assert.throws(() => cache.set('c', {'reactCount': '5'}), TypeError);
+  assert.throws(() => cache.set('c', {'reactCount': 4, 'colour': 'blue'}), /no field colour/);
+  assert.throws(() => cache.set('missing', {'reactCount': 4}), /No channel/);
+  assert.throws(() => cache.get('c', 'colour'), /no field colour/);
+
+  // A write the database turns down doesn't reach the cache either
+  db.update = function () {
+    throw new Error('disk full');
+  };
+  assert.throws(() => cache.set('c', {'reactCount': 4}), /disk full/);
+  assert.strictEqual(cache.get('c', 'reactCount'), 3);
+  assert.strictEqual(db.findOne('channelInfo', {'channel': 'c'}).reactCount, 3);
+};
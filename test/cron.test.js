@@ -0,0 +1,14 @@
+const assert = require('assert');
+const cronTime = require('cron').time;
+
+// index.js's getMissedRun leans on CronTime#_getNextDateFrom, which isn't part of cron's public API.
+// If an upgrade changes it, this says so before Dee starts missing or doubling up on posts.
+exports['_getNextDateFrom gives the next run after a time, in the channel\'s timezone'] = () => {
+  const next = (timing, timezone, after) => new Date(cronTime(timing, timezone)._getNextDateFrom(new Date(after), timezone).valueOf()).toISOString();
+  // 10AM and 3PM in Auckland are 10PM and 3AM UTC in winter
+  assert.strictEqual(next('0 10,15 * * *', 'Pacific/Auckland', '2021-06-04T00:00:00Z'), '2021-06-04T03:00:00.000Z');
+  assert.strictEqual(next('0 10,15 * * *', 'Pacific/Auckland', '2021-06-04T03:00:00Z'), '2021-06-04T22:00:00.000Z');
+  // and an hour earlier in summer
+  assert.strictEqual(next('0 10 * * *', 'Pacific/Auckland', '2021-12-01T00:00:00Z'), '2021-12-01T21:00:00.000Z');
+  assert.strictEqual(next('30 9 * * 1', 'Europe/London', '2021-06-04T00:00:00Z'), '2021-06-07T08:30:00.000Z');
+};
@@ -0,0 +1,72 @@
+const assert = require('assert');
+const database = require('../db.js');
+
+function withTable () {
+  const db = new database.SqliteDatabase(':memory:');
+  db.run('CREATE TABLE "things" ("id" INTEGER PRIMARY KEY, "name" TEXT, "tag" TEXT);');
+  db.insert('things', {'name': 'a', 'tag': 'x'});
+  db.insert('things', {'name': 'b', 'tag': null});
+  db.insert('things', {'name': 'c', 'tag': 'y'});
+  return db;
+}
+
+exports['$ne null becomes IS NOT NULL with nothing bound'] = () => {
+  const db = withTable();
+  const where = {'tag': {'$ne': null}};
+  assert.strictEqual(db.buildSelectQuery('things', where),
+    'SELECT * FROM "things" WHERE "tag" IS NOT NULL;');
+  assert.deepStrictEqual(db.whereValues(where), []);
+  assert.deepStrictEqual(db.find('things', where).map(row => row.name), ['a', 'c']);
+};
+
+exports['$eq null becomes IS NULL next to bound values'] = () => {
+  const db = withTable();
+  const where = {'name': 'b', 'tag': null};
+  assert.strictEqual(db.buildWhereString(where), '"name" = ? AND "tag" IS NULL');
+  assert.deepStrictEqual(db.whereValues(where), ['b']);
+  assert.strictEqual(db.count('things', where), 1);
+};
+
+exports['empty $in matches nothing and empty $nin everything'] = () => {
+  const db = withTable();
+  assert.strictEqual(db.buildWhereString({'name': {'$in': []}}), '"name" IN ()');
+  assert.deepStrictEqual(db.whereValues({'name': {'$in': []}}), []);
+  assert.strictEqual(db.count('things', {'name': {'$in': []}}), 0);
+  assert.strictEqual(db.count('things', {'name': {'$nin': []}}), 3);
+};
+
+exports['$in binds each value in order'] = () => {
+  const db = withTable();
+  const where = {'tag': 'x', 'name': {'$in': ['a', 'c']}};
+  assert.strictEqual(db.buildWhereString(where), '"tag" = ? AND "name" IN (?, ?)');
+  assert.deepStrictEqual(db.whereValues(where), ['x', 'a', 'c']);
+  assert.throws(() => db.buildWhereString({'name': {'$in': 'a'}}), /needs a list/);
+};
+
+exports['offset without a limit adds LIMIT -1'] = () => {
+  const db = withTable();
+  const options = {'orderBy': 'name', 'offset': 1};
+  assert.strictEqual(db.buildSelectQuery('things', {}, options),
+    'SELECT * FROM "things" ORDER BY "name" ASC LIMIT -1 OFFSET 1;');
+  assert.deepStrictEqual(db.find('things', {}, options).map(row => row.name), ['b', 'c']);
+  assert.strictEqual(db.buildOptionsString({'limit': 2, 'offset': 1}), ' LIMIT 2 OFFSET 1');
+  assert.throws(() => db.buildOptionsString({'offset': -1}), /whole number/);
+};
+
+exports['delete without a where clause throws'] = () => {
+  const db = withTable();
+  assert.throws(() => db.delete('things'), /without a where clause/);
+  assert.throws(() => db.delete('things', {}), /without a where clause/);
+  assert.strictEqual(db.count('things'), 3);
+  assert.strictEqual(db.buildDeleteQuery('things', {'id': 2}), 'DELETE FROM "things" WHERE "id" = ?;');
+  assert.strictEqual(db.delete('things', {'id': 2}).changes, 1);
+  assert.strictEqual(db.count('things'), 2);
+};
+
+exports['update binds set values before where values'] = () => {
+  const db = withTable();
+  assert.strictEqual(db.buildUpdateQuery('things', {'tag': 'z'}, {'tag': 'x'}),
+    'UPDATE "things" SET "tag" = ? WHERE "tag" = ?;');
+  assert.strictEqual(db.update('things', {'tag': 'z'}, {'tag': 'x'}).changes, 1);
+  assert.strictEqual(db.findOne('things', {'tag': 'z'}).name, 'a');
+};
@@ -0,0 +1,88 @@
+const assert = require('assert');
+const moment = require('moment-timezone');
+const holidays = require('../holidays.js');
+
+// Auckland's days off, from the government's published lists
+const auckland = {
+  2021: [
+    ['01-01', 'New Year\'s Day'], ['01-02', 'Day after New Year\'s Day'],
+    ['01-04', 'Day after New Year\'s Day (observed)'], ['02-01', 'Auckland Anniversary Day'],
+    ['02-06', 'Waitangi Day'], ['02-08', 'Waitangi Day (observed)'],
+    ['04-02', 'Good Friday'], ['04-05', 'Easter Monday'],
+    ['04-25', 'Anzac Day'], ['04-26', 'Anzac Day (observed)'],
+    ['06-07', 'King\'s Birthday'], ['10-25', 'Labour Day'],
+    ['12-25', 'Christmas Day'], ['12-26', 'Boxing Day'],
+    ['12-27', 'Christmas Day (observed)'], ['12-28', 'Boxing Day (observed)']
+  ],
+  2022: [
+    ['01-01', 'New Year\'s Day'], ['01-02', 'Day after New Year\'s Day'],
+    ['01-03', 'New Year\'s Day (observed)'], ['01-04', 'Day after New Year\'s Day (observed)'],
+    ['01-31', 'Auckland Anniversary Day'], ['02-06', 'Waitangi Day'],
+    ['02-07', 'Waitangi Day (observed)'], ['04-15', 'Good Friday'],
+    ['04-18', 'Easter Monday'], ['04-25', 'Anzac Day'],
+    ['06-06', 'King\'s Birthday'], ['06-24', 'Matariki'],
+    ['10-24', 'Labour Day'], ['12-25', 'Christmas Day'],
+    ['12-26', 'Boxing Day'], ['12-27', 'Christmas Day (observed)']
+  ],
+  2023: [
+    ['01-01', 'New Year\'s Day'], ['01-02', 'Day after New Year\'s Day'],
+    ['01-03', 'New Year\'s Day (observed)'], ['01-30', 'Auckland Anniversary Day'],
+    ['02-06', 'Waitangi Day'], ['04-07', 'Good Friday'],
+    ['04-10', 'Easter Monday'], ['04-25', 'Anzac Day'],
+    ['06-05', 'King\'s Birthday'], ['07-14', 'Matariki'],
+    ['10-23', 'Labour Day'], ['12-25', 'Christmas Day'],
+    ['12-26', 'Boxing Day']
+  ],
+  2024: [
+    ['01-01', 'New Year\'s Day'], ['01-02', 'Day after New Year\'s Day'],
+    ['01-29', 'Auckland Anniversary Day'], ['02-06', 'Waitangi Day'],
+    ['03-29', 'Good Friday'], ['04-01', 'Easter Monday'],
+    ['04-25', 'Anzac Day'], ['06-03', 'King\'s Birthday'],
+    ['06-28', 'Matariki'], ['10-28', 'Labour Day'],
+    ['12-25', 'Christmas Day'], ['12-26', 'Boxing Day']
+  ],
+  2025: [
+    ['01-01', 'New Year\'s Day'], ['01-02', 'Day after New Year\'s Day'],
+    ['01-27', 'Auckland Anniversary Day'], ['02-06', 'Waitangi Day'],
+    ['04-18', 'Good Friday'], ['04-21', 'Easter Monday'],
+    ['04-25', 'Anzac Day'], ['06-02', 'King\'s Birthday'],
+    ['06-20', 'Matariki'], ['10-27', 'Labour Day'],
+    ['12-25', 'Christmas Day'], ['12-26', 'Boxing Day']
+  ]
+};
+
+for (let year in auckland) {
+  exports[`Auckland ${year}`] = () => {
+    const expected = auckland[year].map(([date, name]) => `${year}-${date} ${name}`);
+    assert.deepStrictEqual(holidays.getHolidays(Number(year), 'nz-auckland').map(day => `${day.date} ${day.name}`), expected);
+  };
+}
+
+exports['weekends are only days off when the holiday is'] = () => {
+  assert.ok(holidays.isHoliday(moment.utc('2021-12-28'), 'nz'));
+  assert.ok(!holidays.isHoliday(moment.utc('2021-12-29'), 'nz'));
+  assert.ok(!holidays.isHoliday(moment.utc('2021-06-05'), 'nz'));
+  assert.deepStrictEqual(holidays.getHolidaysOn(moment.utc('2022-01-03'), 'nz'), ['New Year\'s Day (observed)']);
+};
+
+exports['Wellington has its own anniversary instead of Auckland\'s'] = () => {
+  const names = holidays.getHolidays(2024, 'nz-wellington').map(day => `${day.date} ${day.name}`);
+  assert.ok(names.includes('2024-01-22 Wellington Anniversary Day'));
+  assert.ok(!names.some(name => name.includes('Auckland')));
+};
+
+exports['ICS calendars only read all-day events'] = () => {
+  const calendar = [
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT', 'SUMMARY:Mid-winter break', 'DTSTART;VALUE=DATE:20210705', 'DTEND;VALUE=DATE:20210707', 'END:VEVENT',
+    'BEGIN:VEVENT', 'SUMMARY:Server birthday', 'DTSTART;VALUE=DATE:20200301', 'RRULE:FREQ=YEARLY', 'END:VEVENT',
+    'BEGIN:VEVENT', 'SUMMARY:Mod meeting', 'DTSTART:20210610T190000Z', 'DTEND:20210610T200000Z', 'END:VEVENT',
+    'BEGIN:VEVENT', 'SUMMARY:Local time meeting', 'DTSTART;TZID=Pacific/Auckland:20210611T090000', 'END:VEVENT',
+    'END:VCALENDAR'
+  ].join('\r\n');
+  const entries = holidays.parseIcsCalendar(calendar);
+  assert.deepStrictEqual(entries.map(entry => [entry.name, entry.date.format('YYYY-MM-DD'), entry.days, entry.yearly]), [
+    ['Mid-winter break', '2021-07-05', 2, false],
+    ['Server birthday', '2020-03-01', 1, true]
+  ]);
+};
@@ -0,0 +1,42 @@
+const assert = require('assert');
+const i18n = require('../i18n.js');
+const en = require('../locales/en.json');
+
+exports['every bundle only has strings Dee uses, with placeholders she fills in'] = () => {
+  for (let locale of i18n.listLocales()) {
+    assert.deepStrictEqual(i18n.checkBundle(require(`../locales/${locale}.json`)), [], locale);
+  }
+};
+
+// Other bundles can leave strings to fall back on English, but Spanish is kept complete.
+// Strings that read the same in both, like the admin prefix, are repeated rather than left out.
+exports['Spanish has every string'] = () => {
+  const es = require('../locales/es.json');
+  assert.deepStrictEqual(Object.keys(en).filter(key => es[key] === undefined), []);
+};
+
+exports['regional locales fall back to their language'] = () => {
+  const es = require('../locales/es.json');
+  const tr = i18n.translator('es-MX');
+  assert.strictEqual(tr.locale, 'es');
+  assert.notStrictEqual(es.flip, en.flip);
+  assert.strictEqual(tr('flip'), es.flip);
+  assert.deepStrictEqual(tr.variants('adminPrefix'), ['Dee, ']);
+};
+
+exports['locales without a bundle fall back to English'] = () => {
+  const tr = i18n.translator('fr-CA');
+  assert.strictEqual(tr.locale, 'en');
+  assert.strictEqual(tr('flip'), en.flip);
+};
+
+exports['strings missing from a persona come from the bundles'] = () => {
+  const es = require('../locales/es.json');
+  const persona = {name: 'Stub', strings: {es: {flip: '¡Voltereta!'}, en: {barrel: 'Only in English.'}}};
+  const tr = i18n.translator('es-MX', persona);
+  assert.strictEqual(tr('flip'), '¡Voltereta!');
+  assert.strictEqual(tr('secret'), es.secret);
+  // A Spanish string in the bundles beats an English one from the persona
+  assert.strictEqual(tr('barrel'), es.barrel);
+  assert.strictEqual(i18n.translator('en', persona)('barrel'), 'Only in English.');
+};
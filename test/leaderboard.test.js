@@ -0,0 +1,64 @@
+const assert = require('assert');
+const support = require('./support.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+const START = Date.UTC(2021, 5, 1);
+
+// Posts a question on a given day and saves its final tally, the way saveVotes does when it's replaced
+function tally (pers, channelId, messageId, category, day, up, down) {
+  pers.addPostedQuestion(channelId, messageId, 'Question ' + messageId, category);
+  const posted = Object.assign(pers.getPostedQuestionByMessageId(messageId), {'postedAt': START + day * DAY});
+  return pers.addQuestionVotes(posted, up, down, false);
+}
+
+function names (questions) {
+  return questions.map(question => question.question);
+}
+
+async function channelWithVotes (channelId) {
+  const pers = await support.pers();
+  await support.newChannel(pers, channelId);
+  tally(pers, channelId, channelId + '-a', 'dmc', 0, 5, 0);
+  tally(pers, channelId, channelId + '-b', 'spd', 1, 1, 4);
+  tally(pers, channelId, channelId + '-c', 'dmc', 2, 2, 2);
+  tally(pers, channelId, channelId + '-d', 'spd', 3, 7, 1);
+  return pers;
+}
+
+exports['the leaderboard ranks by upvotes less downvotes'] = async function () {
+  const pers = await channelWithVotes('leaderboard-1');
+  const leaderboard = pers.getLeaderboard('leaderboard-1', null, null, null, 2);
+  assert.deepStrictEqual(names(leaderboard.best), ['Question leaderboard-1-d', 'Question leaderboard-1-a']);
+  assert.deepStrictEqual(leaderboard.best.map(question => question.score), [6, 5]);
+  assert.deepStrictEqual(names(leaderboard.worst), ['Question leaderboard-1-b', 'Question leaderboard-1-c']);
+  assert.strictEqual(leaderboard.worst[0].skipped, false);
+};
+
+exports['the leaderboard can be narrowed to a category'] = async function () {
+  const pers = await channelWithVotes('leaderboard-2');
+  const leaderboard = pers.getLeaderboard('leaderboard-2', 'dmc', null, null, 5);
+  assert.deepStrictEqual(names(leaderboard.best), ['Question leaderboard-2-a', 'Question leaderboard-2-c']);
+  assert.deepStrictEqual(names(pers.getLeaderboard('leaderboard-2', 'spd', null, null, 1).worst), ['Question leaderboard-2-b']);
+  assert.deepStrictEqual(pers.getLeaderboard('leaderboard-2', 'pets', null, null, 5), {best: [], worst: []});
+};
+
+exports['the leaderboard can be narrowed to a time range'] = async function () {
+  const pers = await channelWithVotes('leaderboard-3');
+  // From is inclusive and to isn't
+  const middle = pers.getLeaderboard('leaderboard-3', null, START + DAY, START + 3 * DAY, 5);
+  assert.deepStrictEqual(names(middle.best), ['Question leaderboard-3-c', 'Question leaderboard-3-b']);
+  const since = pers.getLeaderboard('leaderboard-3', null, START + 2 * DAY, null, 5);
+  assert.deepStrictEqual(names(since.best), ['Question leaderboard-3-d', 'Question leaderboard-3-c']);
+  const before = pers.getLeaderboard('leaderboard-3', 'spd', null, START + 2 * DAY, 5);
+  assert.deepStrictEqual(names(before.best), ['Question leaderboard-3-b']);
+};
+
+exports['a question\'s votes are only saved once'] = async function () {
+  const pers = await support.pers();
+  await support.newChannel(pers, 'leaderboard-4');
+  assert.strictEqual(tally(pers, 'leaderboard-4', 'leaderboard-4-a', 'dmc', 0, 3, 0), true);
+  const posted = pers.getPostedQuestionByMessageId('leaderboard-4-a');
+  assert.strictEqual(pers.addQuestionVotes(posted, 0, 9, true), false);
+  const leaderboard = pers.getLeaderboard('leaderboard-4', null, null, null, 5);
+  assert.deepStrictEqual(leaderboard.best.map(question => [question.up, question.down, question.skipped]), [[3, 0, false]]);
+};
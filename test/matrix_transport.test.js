@@ -0,0 +1,90 @@
+const assert = require('assert');
+const http = require('http');
+const MatrixTransport = require('../matrix_transport.js').MatrixTransport;
+
+const ROOM = '!room:localhost';
+
+// A homeserver which records every request, and answers sends with a new event id
+async function withHomeserver (test) {
+  const requests = [];
+  let events = 0;
+  const server = http.createServer(function (request, response) {
+    let text = '';
+    request.setEncoding('utf8');
+    request.on('data', chunk => { text += chunk; });
+    request.on('end', function () {
+      requests.push({method: request.method, url: request.url, authorization: request.headers.authorization, body: text ? JSON.parse(text) : null});
+      response.setHeader('Content-Type', 'application/json');
+      if (request.url.includes('/send/')) {
+        response.end(JSON.stringify({event_id: '$event' + ++events}));
+      } else {
+        response.statusCode = 403;
+        response.end(JSON.stringify({errcode: 'M_FORBIDDEN', error: 'Not in this test'}));
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const transport = new MatrixTransport({homeserver: `http://127.0.0.1:${server.address().port}/`, accessToken: 'secret'});
+  transport.userId = '@dee:localhost';
+  transport.handleSync({rooms: {join: {[ROOM]: {state: {events: [{type: 'm.room.name', state_key: '', content: {name: 'Questions'}}]}}}}}, true);
+  try {
+    await test(transport, requests);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+const SEND_PATH = /^\/_matrix\/client\/v3\/rooms\/!room%3Alocalhost\/send\/([\w.]+)\/[\w.]+$/;
+
+function sentType (request) {
+  const match = SEND_PATH.exec(request.url);
+  return match === null ? null : match[1];
+}
+
+exports['messages are sent to the room'] = async function () {
+  await withHomeserver(async function (transport, requests) {
+    const channel = transport.getChannel(ROOM);
+    assert.strictEqual(channel.name, 'Questions');
+    const message = await channel.send('What\'s your favourite tree? 🌳');
+    assert.strictEqual(message.id, '$event1');
+    assert.strictEqual(message.content, 'What\'s your favourite tree? 🌳');
+    assert.strictEqual(message.author.id, '@dee:localhost');
+    assert.strictEqual(requests.length, 1);
+    assert.strictEqual(requests[0].method, 'PUT');
+    assert.strictEqual(requests[0].authorization, 'Bearer secret');
+    assert.strictEqual(sentType(requests[0]), 'm.room.message');
+    assert.deepStrictEqual(requests[0].body, {msgtype: 'm.text', body: 'What\'s your favourite tree? 🌳'});
+  });
+};
+
+exports['edits replace the message they edit'] = async function () {
+  await withHomeserver(async function (transport, requests) {
+    const message = await transport.getChannel(ROOM).send('Tea?');
+    assert.strictEqual(await message.edit('Tea or coffee?'), message);
+    assert.strictEqual(message.content, 'Tea or coffee?');
+    assert.strictEqual(sentType(requests[1]), 'm.room.message');
+    assert.deepStrictEqual(requests[1].body, {
+      msgtype: 'm.text',
+      body: '* Tea or coffee?',
+      'm.new_content': {msgtype: 'm.text', body: 'Tea or coffee?'},
+      'm.relates_to': {rel_type: 'm.replace', event_id: '$event1'}
+    });
+    // Each event gets its own transaction id
+    assert.notStrictEqual(requests[0].url, requests[1].url);
+  });
+};
+
+exports['reactions annotate the message'] = async function () {
+  await withHomeserver(async function (transport, requests) {
+    const message = await transport.getChannel(ROOM).send('Cats or dogs?');
+    await message.react('⬆');
+    assert.strictEqual(sentType(requests[1]), 'm.reaction');
+    assert.deepStrictEqual(requests[1].body, {'m.relates_to': {rel_type: 'm.annotation', event_id: '$event1', key: '⬆'}});
+  });
+};
+
+exports['errors from the homeserver reject'] = async function () {
+  await withHomeserver(async function (transport) {
+    await assert.rejects(transport.request('GET', '/v3/account/whoami'), /GET \/v3\/account\/whoami failed: M_FORBIDDEN Not in this test/);
+  });
+};
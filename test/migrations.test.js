@@ -0,0 +1,69 @@
+const assert = require('assert');
+const database = require('../db.js');
+const migrations = require('../migrations.js').migrations;
+const schema = require('../schema.json');
+
+// Opens a database the way the last release of Dee left it, then the way Dee starts up now.
+function upgrade (fill) {
+  const db = new database.SqliteDatabase(':memory:', require('./fixtures/schema-baseline.json'));
+  fill(db);
+  db.initTables(schema);
+  db.migrate(migrations);
+  return db;
+}
+
+function queue (db, channel, category) {
+  return db.find('question-queue', {'channel': channel, 'category': category}, {'orderBy': 'position'})
+    .map(row => `${row.question} ${row.status}`);
+}
+
+exports['adds the newer channel and user columns to the original database'] = () => {
+  const db = upgrade((db) => {
+    db.insert('channelInfo', {'channel': 'c', 'reactCount': 5, 'onBreak': true});
+  });
+  for (let [column] of schema.find(table => table.tableName === 'channelInfo').columns) {
+    assert.ok(db.columns('channelInfo').includes(column), column);
+  }
+  assert.ok(db.columns('userInfo').includes('locale'));
+  db.update('channelInfo', {'cronTiming': '0 9 * * *', 'timezone': 'Europe/London'}, {'channel': 'c'});
+  const channel = db.findOne('channelInfo', {'channel': 'c'});
+  assert.deepStrictEqual([channel.reactCount, channel.onBreak, channel.cronTiming, channel.timezone],
+    [5, 1, '0 9 * * *', 'Europe/London']);
+};
+
+exports['moves the DMC and SPD queues into categories in order'] = () => {
+  const db = upgrade((db) => {
+    db.insert('channelInfo', {'channel': 'c', 'reactCount': 3, 'nextQuestionToPostId': 3, 'nextShallowQuestionToPostId': 2, 'isQuestionShallow': true});
+    // Out of order on purpose, the ids are the order they were queued in.
+    for (let [question, questionId] of [['third', 3], ['first', 1], ['fourth', 4], ['second', 2]]) {
+      db.insert('questions', {'channel': 'c', 'question': question, 'author': 'a', 'questionId': questionId});
+    }
+    db.insert('shallow-questions', {'channel': 'c', 'question': 'pizza?', 'author': 'a', 'questionId': 1});
+    db.insert('shallow-questions', {'channel': 'c', 'question': 'tea?', 'author': 'a', 'questionId': 2});
+    db.insert('questions', {'channel': 'other', 'question': 'not mine', 'author': 'a', 'questionId': 1});
+  });
+  assert.deepStrictEqual(queue(db, 'c', 'dmc'), ['first posted', 'second posted', 'third pending', 'fourth pending']);
+  assert.deepStrictEqual(queue(db, 'c', 'spd'), ['pizza? posted', 'tea? pending']);
+  // Numbered from 1, the same as categories added since
+  const categories = db.find('categories', {'channel': 'c'}, {'orderBy': 'position'});
+  assert.deepStrictEqual(categories.map(c => [c.name, c.aliases, c.position, c.isCurrent]), [['dmc', 'd', 1, 0], ['spd', 's', 2, 1]]);
+};
+
+exports['a channel with nothing posted yet keeps everything pending'] = () => {
+  const db = upgrade((db) => {
+    db.insert('channelInfo', {'channel': 'c', 'nextQuestionToPostId': null});
+    db.insert('questions', {'channel': 'c', 'question': 'first', 'author': 'a', 'questionId': 1});
+  });
+  assert.deepStrictEqual(queue(db, 'c', 'dmc'), ['first pending']);
+  assert.strictEqual(db.findOne('categories', {'channel': 'c', 'isCurrent': true}).name, 'dmc');
+};
+
+exports['running again changes nothing'] = () => {
+  const db = upgrade((db) => {
+    db.insert('channelInfo', {'channel': 'c', 'nextQuestionToPostId': 2});
+    db.insert('questions', {'channel': 'c', 'question': 'first', 'author': 'a', 'questionId': 1});
+  });
+  assert.deepStrictEqual(db.migrate(migrations), []);
+  assert.strictEqual(db.count('question-queue'), 1);
+  assert.strictEqual(db.schemaVersion(), migrations[migrations.length - 1].version);
+};
@@ -0,0 +1,139 @@
+const assert = require('assert');
+const childProcess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const database = require('../db.js');
+const migrations = require('../migrations.js').migrations;
+const schema = require('../schema.json');
+const questionBank = require('../question_bank.js');
+const backups = require('../backups.js');
+
+function channelWithQuestions (channelId, questions) {
+  const db = new database.SqliteDatabase(':memory:', schema);
+  db.migrate(migrations);
+  db.insert('channelInfo', {'channel': channelId});
+  db.insert('categories', {'channel': channelId, 'name': 'dmc', 'aliases': 'd', 'label': 'deep', 'position': 1, 'isCurrent': true});
+  questions.forEach(function (question, i) {
+    db.insert('question-queue', Object.assign({'channel': channelId, 'category': 'dmc', 'author': 'a', 'position': i + 1, 'postedAt': null}, question));
+  });
+  return db;
+}
+
+// What matters about a question once it's in another channel
+function describe (records) {
+  return records.map((record) => [record.question, record.posted, record.occasion, record.tags.join(' '), record.postedAt]);
+}
+
+const original = [
+  {'question': 'What did you do last summer?', 'status': 'posted', 'postedAt': 1000},
+  {'question': 'What are you thankful for this year?', 'status': 'pending', 'occasion': 'holiday:christmas day', 'postedAt': 2000},
+  {'question': 'What\'s the scariest film you\'ve seen, and why?', 'status': 'pending', 'tags': 'spooky halloween'},
+  {'question': 'Where will you be on the 1st of July?', 'status': 'pending', 'occasion': '2021-07-01', 'tags': 'summer'},
+  {'question': 'Tea or coffee?', 'status': 'pending'}
+];
+
+function roundTrip (serialise, parse) {
+  const from = channelWithQuestions('from', original);
+  const categories = from.find('categories', {'channel': 'from'});
+  const exported = questionBank.readQuestions(from, categories);
+
+  const to = channelWithQuestions('to', []);
+  const toCategories = to.find('categories', {'channel': 'to'});
+  const plan = questionBank.planImport([], parse(serialise(exported)), toCategories);
+  questionBank.applyImport(to, 'to', plan);
+  assert.deepStrictEqual(describe(questionBank.readQuestions(to, toCategories)), describe(exported));
+  return exported;
+}
+
+exports['JSON exports keep occasions and tags'] = () => {
+  const exported = roundTrip((records) => JSON.stringify(records), JSON.parse);
+  assert.deepStrictEqual(describe(exported), [
+    ['What did you do last summer?', true, null, '', 1000],
+    ['What are you thankful for this year?', false, 'holiday:christmas day', '', 2000],
+    ['What\'s the scariest film you\'ve seen, and why?', false, null, 'spooky halloween', null],
+    ['Where will you be on the 1st of July?', false, '2021-07-01', 'summer', null],
+    ['Tea or coffee?', false, null, '', null]
+  ]);
+};
+
+exports['CSV exports keep occasions and tags'] = () => {
+  roundTrip(questionBank.toCsv, questionBank.fromCsv);
+};
+
+exports['CSV exports from before occasions and tags still import'] = () => {
+  const records = questionBank.fromCsv('category,questionId,posted,author,question\ndmc,1,true,a,"Cats, or dogs?"\ndmc,2,false,,Tea?\n');
+  assert.deepStrictEqual(records.map((record) => [record.question, record.posted, record.author, record.occasion, record.tags, record.postedAt]), [
+    ['Cats, or dogs?', true, 'a', null, [], null],
+    ['Tea?', false, null, null, [], null]
+  ]);
+};
+
+exports['files with occasions or tags Dee can\'t read are turned away'] = () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dee-question-bank-'));
+  const file = path.join(dir, 'questions.json');
+  try {
+    for (let [record, error] of [[{occasion: 'next tuesday'}, /occasion/], [{tags: 'spooky'}, /tags/], [{tags: ['Spooky!']}, /tags/]]) {
+      fs.writeFileSync(file, JSON.stringify([Object.assign({category: 'dmc', question: 'Boo?'}, record)]));
+      assert.throws(() => questionBank.readFile(file), error);
+    }
+    fs.writeFileSync(file, JSON.stringify([{category: 'dmc', question: 'Boo?', occasion: '10-31', tags: ['spooky']}]));
+    assert.strictEqual(questionBank.readFile(file).length, 1);
+  } finally {
+    fs.rmSync(dir, {recursive: true, force: true});
+  }
+};
+
+// Runs the command line tool in a folder of its own, with its backups kept there too
+function runCli (dir, args) {
+  return childProcess.spawnSync(process.execPath, [path.join(__dirname, '..', 'question_bank.js')].concat(args), {
+    cwd: dir,
+    env: Object.assign({}, process.env, {BACKUP_DIR: path.join(dir, 'backups')}),
+    encoding: 'utf8'
+  });
+}
+
+exports['the command line tool backs up a database before migrating it'] = () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dee-question-bank-'));
+  try {
+    const file = path.join(dir, 'dmcdata.db');
+    const old = new database.SqliteDatabase(file, require('./fixtures/schema-baseline.json'));
+    old.insert('channelInfo', {'channel': 'c', 'nextQuestionToPostId': null});
+    old.insert('questions', {'channel': 'c', 'question': 'Still here?', 'author': 'a', 'questionId': 1});
+    old.close();
+
+    const result = runCli(dir, ['export', 'c', '--db', file]);
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.deepStrictEqual(JSON.parse(result.stdout).map((record) => record.question), ['Still here?']);
+    const taken = backups.listBackups(path.join(dir, 'backups')).map(backups.getReason);
+    assert.deepStrictEqual(taken, ['before-migration-' + Math.max(...migrations.map((migration) => migration.version))]);
+
+    // Already migrated, so there's nothing to back up the second time
+    assert.strictEqual(runCli(dir, ['export', 'c', '--db', file]).status, 0);
+    assert.strictEqual(backups.listBackups(path.join(dir, 'backups')).length, 1);
+  } finally {
+    fs.rmSync(dir, {recursive: true, force: true});
+  }
+};
+
+exports['the command line tool reports files it can\'t import'] = () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dee-question-bank-'));
+  try {
+    const file = path.join(dir, 'dmcdata.db');
+    fs.writeFileSync(path.join(dir, 'questions.json'), JSON.stringify([{category: 'dmc', question: 'Boo?', occasion: 'next tuesday'}]));
+    const db = new database.SqliteDatabase(file, schema);
+    db.migrate(migrations);
+    db.insert('channelInfo', {'channel': 'c'});
+    db.insert('categories', {'channel': 'c', 'name': 'dmc', 'aliases': 'd', 'label': 'deep', 'position': 1, 'isCurrent': true});
+    db.close();
+
+    for (let importing of ['questions.json', 'missing.json']) {
+      const result = runCli(dir, ['import', 'c', importing, '--db', file]);
+      assert.strictEqual(result.status, 1);
+      assert.ok(!result.stderr.includes('    at '), 'no stack trace in ' + result.stderr);
+    }
+    assert.ok(runCli(dir, ['import', 'c', 'questions.json', '--db', file]).stderr.includes('occasion'));
+  } finally {
+    fs.rmSync(dir, {recursive: true, force: true});
+  }
+};
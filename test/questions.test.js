@@ -0,0 +1,39 @@
+const assert = require('assert');
+const support = require('./support.js');
+
+function addQuestion (pers, channelId, question, category) {
+  return new Promise(function (resolve) {
+    pers.addQuestion(channelId, question, 'author', category, function (err, info) {
+      resolve({err, info});
+    });
+  });
+}
+
+exports['saving a question calls back without an error'] = async function () {
+  const pers = await support.pers();
+  await support.newChannel(pers, 'questions-1');
+  const {err, info} = await addQuestion(pers, 'questions-1', 'What\'s your favourite tree?', 'spd');
+  assert.ifError(err);
+  assert.strictEqual(info.changes, 1);
+  const saved = pers.getQuestions('questions-1', 'spd');
+  assert.deepStrictEqual(saved.map(question => question.question), ['What\'s your favourite tree?']);
+  assert.strictEqual(saved[0].questionId, info.lastInsertRowid);
+};
+
+exports['saving to a missing category calls back with an error'] = async function () {
+  const pers = await support.pers();
+  await support.newChannel(pers, 'questions-2');
+  const {err} = await addQuestion(pers, 'questions-2', 'Who goes there?', 'nope');
+  assert.ok(err instanceof Error);
+  assert.strictEqual(pers.getQuestions('questions-2', 'nope').length, 0);
+};
+
+exports['a new channel starts with a question'] = async function () {
+  const pers = await support.pers();
+  const [channel, created] = await new Promise(function (resolve) {
+    pers.getChannelInfo('questions-3', false, (channel, created) => resolve([channel, created]));
+  });
+  assert.strictEqual(created, true);
+  assert.strictEqual(channel.channel, 'questions-3');
+  assert.strictEqual(pers.getQuestions('questions-3', 'dmc').length, 1);
+};
@@ -0,0 +1,37 @@
+// Runs every *.test.js file in this folder. Each one exports its tests as
+// functions by name, which can return a Promise. Node's own test runner
+// needs a newer Node than better-sqlite3 builds on, so this stands in for it.
+const fs = require('fs');
+const path = require('path');
+const winston = require('winston');
+
+// Keep the output to the results.
+winston.level = 'error';
+
+async function run () {
+  const only = process.argv[2];
+  const files = fs.readdirSync(__dirname)
+    .filter(file => file.endsWith('.test.js'))
+    .filter(file => !only || file.startsWith(only))
+    .sort();
+  let failures = 0;
+  let count = 0;
+  for (let file of files) {
+    const tests = require(path.join(__dirname, file));
+    for (let name in tests) {
+      count++;
+      try {
+        await tests[name]();
+        console.log(`  ok  ${file} ${name}`);
+      } catch (err) {
+        failures++;
+        console.log(`  FAIL ${file} ${name}`);
+        console.log(err.stack.replace(/^/gm, '       '));
+      }
+    }
+  }
+  console.log(`${count - failures} of ${count} passed`);
+  process.exitCode = failures ? 1 : 0;
+}
+
+run();
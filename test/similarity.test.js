@@ -0,0 +1,77 @@
+const assert = require('assert');
+const similarity = require('../similarity.js');
+
+// Pairs Dee should turn away, pairs it should point out, and pairs that are different questions.
+const duplicates = [
+  ['What is your favourite food?', 'what is your favorite food'],
+  ['If you could live anywhere, where would it be?', 'If you could live anywhere where would it be??'],
+  ['What\'s the best advice you\'ve ever been given?', 'Whats the best advice youve ever been given'],
+  ['¿Cuál es tu comida favorita?', 'Cual es tu comida favorita'],
+  ['Какая твоя любимая еда?', 'какая твоя любимая еда'],
+  ['好きな食べ物は何ですか？', '好きな食べ物は何ですか'],
+  ['What\'s your go-to snack? 🍿', 'Whats your go to snack']
+];
+const similar = [
+  ['What is your favourite food?', 'What is your favourite dessert?'],
+  ['What did you want to be when you grew up?', 'What did you want to be when you were little?'],
+  ['Какая твоя любимая еда?', 'Какая твоя любимая книга?']
+];
+const distinct = [
+  ['What is your favourite food?', 'Who do you look up to the most?'],
+  ['好きな食べ物は何ですか？', '一番怖いものは何ですか？'],
+  ['Какая твоя любимая еда?', 'What is your favourite food?'],
+  ['Cats?', 'Dogs?']
+];
+
+function closest (a, b) {
+  return similarity.findClosest(a, [{question: b}]);
+}
+
+exports['near duplicates are turned away'] = () => {
+  for (let [a, b] of duplicates) {
+    const match = closest(a, b);
+    assert.ok(similarity.isDuplicate(match), `${a} / ${b}: ${match && match.similarity}`);
+  }
+};
+
+exports['close questions are flagged but let through'] = () => {
+  for (let [a, b] of similar) {
+    const match = closest(a, b);
+    assert.ok(match !== null, `${a} / ${b}: ${similarity.compare(a, b)}`);
+    assert.ok(!similarity.isDuplicate(match), `${a} / ${b}: ${match.similarity}`);
+  }
+};
+
+exports['different questions don\'t match'] = () => {
+  for (let [a, b] of distinct) {
+    assert.strictEqual(closest(a, b), null, `${a} / ${b}: ${similarity.compare(a, b)}`);
+  }
+};
+
+exports['letters in other scripts are kept'] = () => {
+  assert.strictEqual(similarity.normalise('What does 愛 mean to you?'), 'what does 愛 mean to you');
+  assert.strictEqual(similarity.normalise('¿Qué es el «amor»?'), 'que es el amor');
+  assert.strictEqual(similarity.normalise('ガッツ！'), 'ガッツ'.normalize('NFD'));
+  assert.strictEqual(similarity.normalise('🍕  🍔'), '🍕 🍔');
+  assert.ok(similarity.compare('What does 愛 mean to you?', 'What does 恋 mean to you?') < 1);
+};
+
+exports['compare is symmetric and 1 for the same question'] = () => {
+  for (let [a, b] of duplicates.concat(similar, distinct)) {
+    assert.strictEqual(similarity.compare(a, b), similarity.compare(b, a));
+    assert.strictEqual(similarity.compare(a, a), 1);
+  }
+};
+
+exports['findClosest picks the best match'] = () => {
+  const candidates = [
+    {questionId: 1, question: 'What is your favourite dessert?'},
+    {questionId: 2, question: 'What is your favourite food'},
+    {questionId: 3, question: 'Who do you look up to?'}
+  ];
+  const match = similarity.findClosest('What is your favourite food?', candidates);
+  assert.strictEqual(match.questionId, 2);
+  assert.strictEqual(match.similarity, 1);
+  assert.strictEqual(similarity.findClosest('What is your favourite food?', []), null);
+  assert.ok(!similarity.isDuplicate(null));
+};
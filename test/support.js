@@ -0,0 +1,32 @@
+// Shared setup for the tests that go through mfwbotcrashes.js. It keeps its
+// database in the working folder and only opens it once, so every test file
+// shares one in a temporary folder. Give each test its own channel id.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const pers = require('../mfwbotcrashes.js');
+
+let ready;
+
+exports.pers = function () {
+  if (!ready) {
+    ready = new Promise(function (resolve, reject) {
+      process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'dee-test-')));
+      pers.init(function (err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(pers);
+        }
+      });
+    });
+  }
+  return ready;
+};
+
+// Sets up a channel the way Dee does the first time it hears from one
+exports.newChannel = function (pers, channelId) {
+  return new Promise(function (resolve) {
+    pers.getChannelInfo(channelId, false, resolve);
+  });
+};
@@ -0,0 +1,126 @@
+// Dee talks to her chat platform through a transport, so the daily question works the same
+// wherever it's asked. Pick one with TRANSPORT (discord by default):
+//
+// discord    discord_transport.js, logs in with TOKEN
+// matrix     matrix_transport.js, logs in with MATRIX_HOMESERVER and MATRIX_ACCESS_TOKEN
+//
+// A transport is an EventEmitter, which emits:
+//
+// 'ready' ()                           once it's logged in and channels can be looked up
+// 'message' (message)                  for every message in a channel or DM, Dee's own too
+// 'reactionAdd' (reaction, user)       when someone reacts to a message
+// 'reactionRemove' (reaction, user)    when someone takes their reaction back
+// 'messageUpdate' (channelId, messageId, content)
+//                                      when someone edits a message, with its new text
+// 'messageDelete' (channelId, messageId)
+//                                      when someone deletes a message
+//
+// and has the methods below. Emoji are always the emoji itself (like '⬆'), or the platform's own
+// name for a custom one.
+
+/**
+* @typedef {Object} User
+* @property {string} id
+* @property {string} name
+* @property {boolean} isBot Whether it's a bot (Dee included) rather than a person.
+* @property {function(string): !Promise<!Message>} send DMs them.
+*/
+
+/**
+* @typedef {Object} Channel
+* @property {string} id
+* @property {?string} name Its name without a #, null for DMs.
+* @property {?{id: string, name: string}} server Where the channel is, null for DMs.
+* @property {boolean} isDirect Whether it's a DM with Dee.
+* @property {function(string): !Promise<!Message>} send
+* @property {function(string): !Promise<!Message>} fetchMessage Rejects if it's gone.
+* @property {function()} startTyping
+* @property {function()} stopTyping
+*/
+
+/**
+* @typedef {Object} Message
+* @property {string} id
+* @property {!Channel} channel
+* @property {!User} author
+* @property {string} content
+* @property {number} createdTimestamp When it was sent (ms).
+* @property {boolean} pinned
+* @property {!Array<{emoji: string, count: number, me: boolean}>} reactions How many reacted with
+*   each emoji, and whether Dee was one of them.
+* @property {function(string): !Promise<!Message>} react
+* @property {function(): !Promise<!Message>} pin
+* @property {function(): !Promise<!Message>} unpin
+* @property {function(string): !Promise<!Message>} edit
+*/
+
+/**
+* @typedef {Object} Reaction
+* @property {?string} emoji Null if the platform doesn't say, like Matrix when a reaction's taken back.
+* @property {!Message} message What was reacted to, with its reactions up to date.
+*/
+
+/**
+* @typedef {Object} Transport
+* @property {!User} user Dee herself, once she's logged in.
+* @property {function(): !Promise} login
+* @property {function(string): (!Channel|undefined)} getChannel Any channel Dee is in, by id.
+* @property {function(string): !Promise<!User>} fetchUser Rejects if there's no such user.
+* @property {function(!Channel, !User): !Promise<boolean>} isAdmin Whether the user can change
+*   Dee's settings and moderate questions in the channel.
+* @property {function(!Channel, !User): !Promise<boolean>} isMember Whether the user can see the channel.
+* @property {function(string): string} channelMention How to link to a channel in a message.
+* @property {function(string): string} findChannelMention The channel id in a channel link, or the
+*   text as it was if it isn't one.
+* @property {function(!Channel, string): string} messageLink A link to one of the channel's messages.
+* @property {function(string): string} findEmoji The emoji someone typed, as reactions name it.
+*/
+
+const TRANSPORTS = {
+  discord: function (env, options) {
+    const DiscordTransport = require('./discord_transport.js').DiscordTransport;
+    return new DiscordTransport({token: env.TOKEN, client: options.discordClient});
+  },
+  matrix: function (env) {
+    const MatrixTransport = require('./matrix_transport.js').MatrixTransport;
+    return new MatrixTransport({homeserver: env.MATRIX_HOMESERVER, accessToken: env.MATRIX_ACCESS_TOKEN});
+  }
+};
+
+// Options for every transport made after they're set, see preset
+let presetOptions = {};
+
+exports.listTransports = function () {
+  return Object.keys(TRANSPORTS);
+};
+
+/**
+* Sets options for the transports made from now on, for whoever can't pass them to create
+* themselves. index.js makes its transport as soon as it's loaded, so the simulator hands
+* over its fake Discord client this way, and makes sure it's Discord whatever TRANSPORT says.
+*
+* @param {!Object} options As create takes them.
+*/
+exports.preset = function (options) {
+  presetOptions = options;
+};
+
+/**
+* Makes the transport Dee's been told to use.
+*
+* @param {?string=} name The transport's name, discord by default.
+* @param {!Object=} env Where to find its settings, process.env by default.
+* @param {!Object=} options Anything that isn't a setting, on top of the preset ones:
+*   transport - the transport's name, which wins over the name passed in.
+*   discordClient - a discord.js Client to use instead of a new one, like fake_discord.js's.
+* @return {!Transport} The transport, not yet logged in.
+*/
+exports.create = function (name, env = process.env, options = {}) {
+  options = Object.assign({}, presetOptions, options);
+  name = options.transport || name || 'discord';
+  const make = TRANSPORTS[name.toLowerCase()];
+  if (make === undefined) {
+    throw new Error(`There's no ${name} transport, try ${Object.keys(TRANSPORTS).join(', ')}`);
+  }
+  return make(env, options);
+};